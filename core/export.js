@@ -1,9 +1,17 @@
 // core/export.js
+import { generateSQL } from "./sql.js";
+
 /**
  * Exports the current SVG content as an SVG file.
  * @param {SVGElement} svgElement - The SVG element to export.
  */
 export function exportSVG(svgElement) {
+  // Declare xlink once on the root so element links stay valid in the file
+  svgElement.setAttributeNS(
+    "http://www.w3.org/2000/xmlns/",
+    "xmlns:xlink",
+    "http://www.w3.org/1999/xlink"
+  );
   const serializer = new XMLSerializer();
   let svgString = serializer.serializeToString(svgElement);
 
@@ -24,6 +32,26 @@ export function exportSVG(svgElement) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Exports an ERD document as a SQL file of CREATE TABLE statements.
+ * @param {object} data - A valid ERD document.
+ * @param {'postgresql'|'mysql'|'sqlite'} dialect - The SQL dialect to write.
+ */
+export function exportSQL(data, dialect) {
+  const blob = new Blob([generateSQL(data, dialect)], {
+    type: "application/sql;charset=utf-8",
+  });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `diagram-${new Date().toISOString().slice(0, 10)}.sql`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Exports the current SVG content as a PNG file using a canvas.
  * @param {SVGElement} svgElement - The SVG element to export.
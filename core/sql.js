@@ -0,0 +1,947 @@
+// core/sql.js
+// Converts between SQL DDL and ERD documents. The importer understands the
+// CREATE TABLE and ALTER TABLE ... ADD forms shared by PostgreSQL, MySQL and
+// SQLite and skips other statements; the generator writes CREATE TABLE
+// scripts for any of the three.
+
+const TYPELESS_COLUMN = "ANY"; // SQLite columns may omit the type
+// Bare words a DEFAULT may hold as they are
+const DEFAULT_KEYWORDS = [
+  "NULL",
+  "TRUE",
+  "FALSE",
+  "CURRENT_DATE",
+  "CURRENT_TIME",
+  "CURRENT_TIMESTAMP",
+  "LOCALTIME",
+  "LOCALTIMESTAMP",
+  "CURRENT_USER",
+];
+// Words that end a column type and start its constraints
+const COLUMN_CONSTRAINT_WORDS = [
+  "CONSTRAINT",
+  "NOT",
+  "NULL",
+  "PRIMARY",
+  "UNIQUE",
+  "REFERENCES",
+  "DEFAULT",
+  "CHECK",
+  "COLLATE",
+  "AUTO_INCREMENT",
+  "AUTOINCREMENT",
+  "GENERATED",
+  "AS",
+  "COMMENT",
+  "ON",
+  "CHARSET",
+];
+// Differences between the dialects the generator writes. SQLite cannot add
+// constraints to existing tables, but checks foreign keys only when rows
+// change, so they may reference tables created later. Comments are COMMENT
+// ON statements, inline COMMENT clauses, or SQL comments where the dialect
+// has no place for them. Index names are per table in MySQL only.
+const SQL_DIALECTS = {
+  postgresql: {
+    name: "PostgreSQL",
+    quote: '"',
+    forwardReferences: false,
+    comments: "statement",
+    sharedIndexNames: true,
+  },
+  mysql: {
+    name: "MySQL",
+    quote: "`",
+    forwardReferences: false,
+    comments: "inline",
+    backslashEscapes: true,
+  },
+  sqlite: {
+    name: "SQLite",
+    quote: '"',
+    forwardReferences: true,
+    comments: "line",
+    sharedIndexNames: true,
+  },
+};
+// Words that start a table constraint rather than a column definition
+const TABLE_CONSTRAINT_WORDS = [
+  "CONSTRAINT",
+  "PRIMARY",
+  "UNIQUE",
+  "FOREIGN",
+  "CHECK",
+  "KEY",
+  "INDEX",
+  "FULLTEXT",
+  "SPATIAL",
+  "EXCLUDE",
+];
+
+/**
+ * Builds an ERD document from CREATE TABLE statements. Columns become
+ * attributes with their primary key, unique and foreign key flags, plus
+ * "nullable", "default", "comment" and "enum" where the DDL gives them.
+ * Composite unique keys, indexes and table comments go on the entity,
+ * including those of CREATE INDEX and COMMENT ON statements. Every foreign key
+ * gets a relationship to the table it references: many rows may reference a
+ * row unless the foreign key columns form a unique key, and nullable ones
+ * may reference none. Foreign keys to tables outside the script are dropped.
+ * Tables without a primary key are left out, as ERD entities need one, and
+ * so are foreign keys to them; their names are returned in "skipped".
+ * @param {string} sql - One or more SQL statements.
+ * @returns {{data: {type: "erd", entities: object[],
+ *   relationships: object[]}, skipped: string[]}}
+ * @throws {Error} If the script has no CREATE TABLE statement with columns,
+ *   or none of its tables has a primary key.
+ */
+export function importSQL(sql) {
+  const tables = new Map();
+  const backslashEscapes = isMySQLScript(sql);
+  splitStatements(tokenize(sql, backslashEscapes)).forEach((tokens) => {
+    const cursor = createCursor(tokens, sql);
+    if (cursor.accept("CREATE")) {
+      const unique = cursor.accept("UNIQUE");
+      if (cursor.accept("INDEX")) {
+        readCreateIndex(cursor, tables, unique);
+        return;
+      }
+      cursor.accept("TEMP", "TEMPORARY", "UNLOGGED");
+      if (!cursor.accept("TABLE")) return; // Views, indexes, ...
+      acceptIfExists(cursor, true);
+      readCreateTable(cursor, tables);
+    } else if (cursor.accept("ALTER") && cursor.accept("TABLE")) {
+      cursor.accept("ONLY");
+      acceptIfExists(cursor, false);
+      const table = tables.get(readName(cursor));
+      if (table) readAlterTable(cursor, table);
+    } else if (cursor.accept("COMMENT") && cursor.accept("ON")) {
+      readComment(cursor, tables);
+    }
+  });
+  if (tables.size === 0) {
+    throw new Error("No CREATE TABLE statements found.");
+  }
+  const skipped = [];
+  tables.forEach((table) => {
+    if ([...table.columns.values()].some((column) => column.pk)) return;
+    skipped.push(table.name);
+    tables.delete(table.name);
+  });
+  if (tables.size === 0) {
+    throw new Error(`No table has a primary key: ${skipped.join(", ")}.`);
+  }
+
+  const entities = [];
+  const relationships = [];
+  tables.forEach((table) => {
+    const attributes = [];
+    table.columns.forEach((column) => {
+      const attr = { name: column.name, type: column.type };
+      const nullable = !column.notNull && !column.pk;
+      if (column.pk) attr.pk = true;
+      if (column.unique) attr.unique = true;
+      const ref = resolveReference(column.references, tables);
+      if (ref) attr.fk = `${ref.table}.${ref.column}`;
+      if (nullable) attr.nullable = true;
+      if (column.default !== undefined) attr.default = column.default;
+      if (column.enum) attr.enum = column.enum;
+      if (column.comment) attr.comment = column.comment;
+      attributes.push(attr);
+
+      // One relationship per foreign key, at its first column
+      if (!ref || column.references.position > 0) return;
+      const names = column.references.columns;
+      const key = names.map((name) => table.columns.get(name));
+      const isKey = (keyNames) =>
+        keyNames.length === names.length &&
+        keyNames.every((name) => names.includes(name));
+      const unique =
+        (names.length === 1 && column.unique) ||
+        isKey(
+          [...table.columns.values()].filter((c) => c.pk).map((c) => c.name)
+        ) ||
+        table.uniqueKeys.some(isKey);
+      relationships.push({
+        from: table.name,
+        to: ref.table,
+        fromCardinality: unique ? "0..1" : "0..*",
+        toCardinality: key.some((c) => !c.notNull && !c.pk) ? "0..1" : "1..1",
+        identifying: key.some((c) => c.pk),
+      });
+    });
+    const entity = { name: table.name };
+    if (table.comment) entity.comment = table.comment;
+    entity.attributes = attributes;
+    if (table.uniqueKeys.length > 0) entity.uniqueKeys = table.uniqueKeys;
+    if (table.indexes.length > 0) entity.indexes = table.indexes;
+    entities.push(entity);
+  });
+  return { data: { type: "erd", entities, relationships }, skipped };
+}
+
+/**
+ * Writes a CREATE TABLE script for a valid ERD document. Tables come in
+ * dependency order, referenced tables first, each followed by its indexes.
+ * Foreign keys that close a cycle are added afterwards with ALTER TABLE,
+ * except in SQLite where they stay in place. Types are written as given,
+ * defaults too when they are SQL expressions and as strings otherwise.
+ * Columns are NOT NULL unless marked "nullable", and enum values become
+ * CHECK constraints.
+ * @param {object} data - ERD document.
+ * @param {'postgresql'|'mysql'|'sqlite'} dialect
+ * @returns {string} The script.
+ * @throws {Error} For an unknown dialect.
+ */
+export function generateSQL(data, dialect) {
+  const options = SQL_DIALECTS[dialect];
+  if (!options) throw new Error(`Unknown SQL dialect: ${dialect}`);
+  const q = (name) =>
+    options.quote +
+    name.split(options.quote).join(options.quote.repeat(2)) +
+    options.quote;
+  const list = (names) => names.map(q).join(", ");
+  const literal = (text) => {
+    const escaped = options.backslashEscapes
+      ? text.split("\\").join("\\\\")
+      : text;
+    return `'${escaped.split("'").join("''")}'`;
+  };
+  const lineComment = (text) => `-- ${text.replace(/\s+/g, " ")}`;
+
+  const entitiesByName = new Map(data.entities.map((e) => [e.name, e]));
+  const created = new Set();
+  const indexNames = new Set();
+  const statements = [];
+  const deferred = [];
+  getCreationOrder(data.entities).forEach((entity) => {
+    created.add(entity.name);
+    const table = q(entity.name);
+    const block = []; // The table's statements
+    const lines = entity.attributes.map((attr) => {
+      let line = `${q(attr.name)} ${attr.type}`;
+      if (attr.nullable !== true) line += " NOT NULL";
+      if (attr.default !== undefined) {
+        line += ` DEFAULT ${formatDefault(attr.default, literal)}`;
+      }
+      if (attr.comment && options.comments === "inline") {
+        line += ` COMMENT ${literal(attr.comment)}`;
+      } else if (attr.comment && options.comments === "line") {
+        line = `${lineComment(attr.comment)}\n  ${line}`;
+      } else if (attr.comment) {
+        block.push(
+          `COMMENT ON COLUMN ${table}.${q(attr.name)} IS ${literal(
+            attr.comment
+          )};`
+        );
+      }
+      return line;
+    });
+    const pk = getPrimaryKey(entity);
+    if (pk.length > 0) lines.push(`PRIMARY KEY (${list(pk)})`);
+    entity.attributes
+      .filter(
+        (attr) => attr.unique && !(pk.length === 1 && pk[0] === attr.name)
+      )
+      .forEach((attr) => lines.push(`UNIQUE (${q(attr.name)})`));
+    (entity.uniqueKeys || []).forEach((key) =>
+      lines.push(`UNIQUE (${list(key)})`)
+    );
+    // MySQL ENUM types hold their values already
+    entity.attributes
+      .filter((attr) => attr.enum && !/^ENUM\s*\(/i.test(attr.type))
+      .forEach((attr) =>
+        lines.push(
+          `CHECK (${q(attr.name)} IN (${attr.enum.map(literal).join(", ")}))`
+        )
+      );
+    getForeignKeys(entity, entitiesByName).forEach((fk) => {
+      const constraint = `FOREIGN KEY (${list(fk.columns)}) REFERENCES ${q(
+        fk.refEntity
+      )} (${list(fk.refColumns)})`;
+      if (created.has(fk.refEntity) || options.forwardReferences) {
+        lines.push(constraint);
+      } else {
+        deferred.push(`ALTER TABLE ${q(entity.name)} ADD ${constraint};`);
+      }
+    });
+
+    let create = `CREATE TABLE ${table} (\n  ${lines.join(",\n  ")}\n)`;
+    if (entity.comment && options.comments === "inline") {
+      create += ` COMMENT = ${literal(entity.comment)}`;
+    } else if (entity.comment && options.comments === "line") {
+      create = `${lineComment(entity.comment)}\n${create}`;
+    } else if (entity.comment) {
+      block.unshift(`COMMENT ON TABLE ${table} IS ${literal(entity.comment)};`);
+    }
+    (entity.indexes || []).forEach((index) => {
+      // Names repeated across tables get the table name in front
+      let name = index.name;
+      while (options.sharedIndexNames && indexNames.has(name)) {
+        name = `${entity.name}_${name}`;
+      }
+      indexNames.add(name);
+      block.push(
+        `CREATE ${index.unique ? "UNIQUE " : ""}INDEX ${q(
+          name
+        )} ON ${table} (${list(index.attributes)});`
+      );
+    });
+    statements.push([`${create};`, ...block].join("\n"));
+  });
+
+  return (
+    [
+      `-- ${options.name} schema generated from an ERD diagram`,
+      ...statements,
+      ...deferred,
+    ].join("\n\n") + "\n"
+  );
+}
+
+/**
+ * SQL for a default value. Numbers, booleans, keywords such as NULL or
+ * CURRENT_TIMESTAMP, quoted literals, function calls and parenthesized
+ * expressions are SQL already, as the importer writes them; any other
+ * text becomes a string literal.
+ * @param {string|number|boolean} value - The attribute's "default".
+ * @param {function(string): string} literal - Quotes a string literal.
+ * @returns {string}
+ */
+function formatDefault(value, literal) {
+  if (typeof value !== "string") return String(value);
+  const text = value.trim();
+  const isExpression =
+    /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ||
+    DEFAULT_KEYWORDS.includes(text.toUpperCase()) ||
+    /^E?'.*'(::.+)?$/is.test(text) || // Maybe with a PostgreSQL cast
+    /^[\w.]+\s*\(.*\)(::.+)?$/s.test(text) ||
+    /^\(.*\)$/s.test(text);
+  return isExpression ? text : literal(value);
+}
+
+/**
+ * Orders entities so that each comes after the entities its foreign keys
+ * reference, keeping the document order otherwise. Within a cycle the
+ * earliest entity goes first.
+ * @param {object[]} entities - ERD entities.
+ * @returns {object[]}
+ */
+function getCreationOrder(entities) {
+  const remaining = [...entities];
+  const ordered = [];
+  const placed = new Set();
+  const isReady = (entity) =>
+    entity.attributes.every((attr) => {
+      if (!attr.fk) return true;
+      const refEntity = attr.fk.split(".")[0];
+      return refEntity === entity.name || placed.has(refEntity);
+    });
+  while (remaining.length > 0) {
+    const index = Math.max(0, remaining.findIndex(isReady));
+    const [entity] = remaining.splice(index, 1);
+    placed.add(entity.name);
+    ordered.push(entity);
+  }
+  return ordered;
+}
+
+/**
+ * Primary key of an entity: its "primaryKey", or else its "pk" attributes.
+ * @param {object} entity - ERD entity.
+ * @returns {string[]} Attribute names.
+ */
+function getPrimaryKey(entity) {
+  return (
+    entity.primaryKey ||
+    entity.attributes.filter((attr) => attr.pk).map((attr) => attr.name)
+  );
+}
+
+/**
+ * Foreign key constraints of an entity. Attributes referencing all primary
+ * key attributes of a composite key together form one constraint; any
+ * other foreign key attribute forms its own.
+ * @param {object} entity - ERD entity.
+ * @param {Map} entitiesByName - All entities by name.
+ * @returns {{columns: string[], refEntity: string, refColumns: string[]}[]}
+ */
+function getForeignKeys(entity, entitiesByName) {
+  const byEntity = new Map(); // Referenced entity -> [{column, refColumn}]
+  entity.attributes
+    .filter((attr) => attr.fk)
+    .forEach((attr) => {
+      const [refEntity, refColumn] = attr.fk.split(".");
+      if (!byEntity.has(refEntity)) byEntity.set(refEntity, []);
+      byEntity.get(refEntity).push({ column: attr.name, refColumn });
+    });
+
+  const foreignKeys = [];
+  byEntity.forEach((pairs, refEntity) => {
+    const pk = getPrimaryKey(entitiesByName.get(refEntity));
+    const composite =
+      pairs.length > 1 &&
+      pairs.length === pk.length &&
+      pk.every((name) => pairs.some((pair) => pair.refColumn === name));
+    const groups = composite ? [pairs] : pairs.map((pair) => [pair]);
+    groups.forEach((group) =>
+      foreignKeys.push({
+        columns: group.map((pair) => pair.column),
+        refEntity,
+        refColumns: group.map((pair) => pair.refColumn),
+      })
+    );
+  });
+  return foreignKeys;
+}
+
+/**
+ * Reads the rest of a CREATE TABLE statement, after "TABLE". Tables copied
+ * with AS or LIKE have no columns to read and are skipped.
+ * @param {object} cursor - From createCursor.
+ * @param {Map} tables - Tables read so far, by name; the new one is added.
+ */
+function readCreateTable(cursor, tables) {
+  const name = readName(cursor);
+  if (!cursor.acceptPunct("(")) return;
+  const table = { name, columns: new Map(), uniqueKeys: [], indexes: [] };
+  tables.set(name, table);
+  splitList(cursor.readGroupTokens()).forEach((tokens) => {
+    const element = createCursor(tokens, cursor.sql);
+    if (isTableConstraint(element)) {
+      readTableConstraint(element, table);
+    } else {
+      readColumn(element, table);
+    }
+  });
+  // Table options, of which MySQL's COMMENT = '...' matters
+  while (!cursor.done()) {
+    if (cursor.accept("COMMENT")) {
+      cursor.acceptPunct("=");
+      table.comment = cursor.next()?.value;
+    } else {
+      cursor.skip();
+    }
+  }
+}
+
+/**
+ * Reads the rest of a CREATE [UNIQUE] INDEX statement into the indexes of
+ * its table. Indexes on expressions or on tables outside the script are
+ * skipped.
+ * @param {object} cursor - From createCursor, after the INDEX.
+ * @param {Map} tables - Tables read so far, by name.
+ * @param {boolean} unique - Whether the index is unique.
+ */
+function readCreateIndex(cursor, tables, unique) {
+  cursor.accept("CONCURRENTLY");
+  acceptIfExists(cursor, true);
+  const name = cursor.peekWord() === "ON" ? undefined : readName(cursor);
+  if (!cursor.accept("ON")) return;
+  cursor.accept("ONLY");
+  const table = tables.get(readName(cursor));
+  if (cursor.accept("USING")) cursor.next();
+  const columns = readNameList(cursor);
+  if (table) addIndex(table, name, columns, unique);
+}
+
+/**
+ * Reads the rest of a PostgreSQL COMMENT ON TABLE or COMMENT ON COLUMN
+ * statement.
+ * @param {object} cursor - From createCursor, after the ON.
+ * @param {Map} tables - Tables read so far, by name.
+ */
+function readComment(cursor, tables) {
+  const kind = cursor.peekWord();
+  if (!cursor.accept("TABLE", "COLUMN")) return;
+  const parts = [cursor.next()?.value];
+  while (cursor.acceptPunct(".")) parts.push(cursor.next()?.value);
+  if (!cursor.accept("IS")) return;
+  const text = cursor.next();
+  if (text?.type !== "string") return; // IS NULL drops the comment
+  if (kind === "TABLE") {
+    const table = tables.get(parts[parts.length - 1]);
+    if (table) table.comment = text.value;
+  } else {
+    const table = tables.get(parts[parts.length - 2]);
+    const column = table?.columns.get(parts[parts.length - 1]);
+    if (column) column.comment = text.value;
+  }
+}
+
+/**
+ * Reads the actions of an ALTER TABLE statement, after the table name. Only
+ * added columns and constraints matter here.
+ * @param {object} cursor - From createCursor.
+ * @param {object} table - The altered table.
+ */
+function readAlterTable(cursor, table) {
+  splitList(cursor.rest()).forEach((tokens) => {
+    const action = createCursor(tokens, cursor.sql);
+    if (!action.accept("ADD")) return;
+    if (isTableConstraint(action)) {
+      readTableConstraint(action, table);
+    } else {
+      action.accept("COLUMN");
+      acceptIfExists(action, true);
+      readColumn(action, table);
+    }
+  });
+}
+
+/**
+ * Whether a table element starts with a table constraint rather than a
+ * column definition. Columns may be named "key" or "index", so those words
+ * only start a MySQL index when a list of column names follows, directly
+ * or after the index name. Type arguments, as in "key varchar(10)", are
+ * numbers or strings instead.
+ * @param {object} cursor - From createCursor, at the element.
+ * @returns {boolean}
+ */
+function isTableConstraint(cursor) {
+  const word = cursor.peekWord();
+  if (!TABLE_CONSTRAINT_WORDS.includes(word)) return false;
+  if (word !== "KEY" && word !== "INDEX") return true;
+  if (cursor.peekPunct("(", 1)) return true;
+  const afterName = cursor.rest()[3];
+  return (
+    cursor.peekPunct("(", 2) &&
+    (afterName?.type === "word" || afterName?.type === "name")
+  );
+}
+
+/**
+ * Reads a column definition: name, type and column constraints.
+ * @param {object} cursor - From createCursor, at the column name.
+ * @param {object} table - Table to add the column to.
+ */
+function readColumn(cursor, table) {
+  const name = readName(cursor);
+  const typeStart = cursor.position();
+  let values; // Of a MySQL ENUM type
+  while (
+    !cursor.done() &&
+    !COLUMN_CONSTRAINT_WORDS.includes(cursor.peekWord()) &&
+    !(cursor.peekWord() === "CHARACTER" && cursor.peekWord(1) === "SET")
+  ) {
+    if (cursor.accept("ENUM") && cursor.acceptPunct("(")) {
+      values = readStringList(cursor.readGroupTokens());
+    } else {
+      cursor.skip();
+    }
+  }
+  const column = {
+    name,
+    type: cursor.textSince(typeStart) || TYPELESS_COLUMN,
+    notNull: false,
+    pk: false,
+    unique: false,
+    enum: values,
+  };
+  table.columns.set(name, column);
+
+  while (!cursor.done()) {
+    if (cursor.accept("CONSTRAINT")) {
+      readName(cursor);
+    } else if (cursor.accept("NOT")) {
+      if (cursor.accept("NULL")) column.notNull = true;
+    } else if (cursor.accept("NULL")) {
+      column.notNull = false;
+    } else if (cursor.accept("PRIMARY")) {
+      cursor.accept("KEY");
+      column.pk = true;
+    } else if (cursor.accept("UNIQUE")) {
+      cursor.accept("KEY");
+      column.unique = true;
+    } else if (cursor.accept("REFERENCES")) {
+      const refTable = readName(cursor);
+      const refColumns = cursor.peekPunct("(") ? readNameList(cursor) : [];
+      column.references = {
+        table: refTable,
+        column: refColumns[0],
+        columns: [name],
+        position: 0,
+      };
+    } else if (cursor.accept("ON")) {
+      skipAction(cursor);
+    } else if (cursor.accept("DEFAULT")) {
+      const start = cursor.position();
+      readExpression(cursor);
+      const value = cursor.textSince(start);
+      if (value.toUpperCase() !== "NULL") column.default = value;
+    } else if (cursor.accept("CHECK")) {
+      if (cursor.acceptPunct("(")) {
+        readEnumCheck(cursor.readGroupTokens(), table, cursor.sql);
+      }
+    } else if (cursor.accept("COMMENT")) {
+      column.comment = cursor.next()?.value;
+    } else {
+      // COLLATE x, AUTO_INCREMENT, ...
+      cursor.skip();
+    }
+  }
+}
+
+/**
+ * Reads a table constraint. Composite primary keys mark all their columns;
+ * composite unique keys go on the table, as do MySQL KEY and INDEX
+ * entries.
+ * @param {object} cursor - From createCursor, at the constraint.
+ * @param {object} table - Constrained table.
+ */
+function readTableConstraint(cursor, table) {
+  if (cursor.accept("CONSTRAINT")) readName(cursor);
+  if (cursor.accept("PRIMARY")) {
+    cursor.accept("KEY");
+    readNameList(cursor).forEach((name) => {
+      const column = table.columns.get(name);
+      if (column) column.pk = true;
+    });
+  } else if (cursor.accept("UNIQUE")) {
+    cursor.accept("KEY", "INDEX");
+    if (!cursor.peekPunct("(")) readName(cursor); // MySQL index name
+    const names = readNameList(cursor);
+    const column = table.columns.get(names[0]);
+    if (names.length === 1 && column) {
+      column.unique = true;
+    } else if (names.every((name) => table.columns.has(name))) {
+      table.uniqueKeys.push(names);
+    }
+  } else if (cursor.accept("KEY", "INDEX")) {
+    const name = cursor.peekPunct("(") ? undefined : readName(cursor);
+    addIndex(table, name, readNameList(cursor), false);
+  } else if (cursor.accept("CHECK")) {
+    if (cursor.acceptPunct("(")) {
+      readEnumCheck(cursor.readGroupTokens(), table, cursor.sql);
+    }
+  } else if (cursor.accept("FOREIGN")) {
+    cursor.accept("KEY");
+    if (!cursor.peekPunct("(")) readName(cursor); // MySQL index name
+    const names = readNameList(cursor);
+    if (!cursor.accept("REFERENCES")) return;
+    const refTable = readName(cursor);
+    const refColumns = cursor.peekPunct("(") ? readNameList(cursor) : [];
+    if (!names.every((name) => table.columns.has(name))) return;
+    names.forEach((name, i) => {
+      table.columns.get(name).references = {
+        table: refTable,
+        column: refColumns[i],
+        columns: names,
+        position: i,
+      };
+    });
+  }
+}
+
+/**
+ * Adds an index to a table, unless it covers columns the table lacks.
+ * Unnamed indexes are named after their table and columns.
+ * @param {object} table - Indexed table.
+ * @param {string} [name] - Index name.
+ * @param {string[]} columns - Indexed column names.
+ * @param {boolean} unique - Whether the index is unique.
+ */
+function addIndex(table, name, columns, unique) {
+  if (columns.length === 0) return;
+  if (!columns.every((column) => table.columns.has(column))) return;
+  const index = {
+    name: name || `${table.name}_${columns.join("_")}_idx`,
+    attributes: columns,
+  };
+  if (unique) index.unique = true;
+  table.indexes.push(index);
+}
+
+/**
+ * Reads a CHECK condition of the form "column IN ('a', 'b')" into the enum
+ * values of the column. Other conditions are skipped.
+ * @param {object[]} tokens - Tokens inside the CHECK parentheses.
+ * @param {object} table - Checked table.
+ * @param {string} sql - Source of the tokens.
+ */
+function readEnumCheck(tokens, table, sql) {
+  const check = createCursor(tokens, sql);
+  const column = table.columns.get(readName(check));
+  if (!column || !check.accept("IN") || !check.acceptPunct("(")) return;
+  const values = readStringList(check.readGroupTokens());
+  if (values && check.done()) column.enum = values;
+}
+
+/**
+ * Reads a comma-separated list of string literals.
+ * @param {object[]} tokens - Tokens of the list, without parentheses.
+ * @returns {string[]|undefined} Undefined when an entry is not a string.
+ */
+function readStringList(tokens) {
+  const items = splitList(tokens);
+  if (!items.every((item) => item.length === 1 && item[0].type === "string")) {
+    return undefined;
+  }
+  return items.map((item) => item[0].value);
+}
+
+/**
+ * Accepts "IF EXISTS", or "IF NOT EXISTS" when creating.
+ * @param {object} cursor - From createCursor.
+ * @param {boolean} creating - Whether to expect the NOT.
+ */
+function acceptIfExists(cursor, creating) {
+  if (!cursor.accept("IF")) return;
+  if (creating) cursor.accept("NOT");
+  cursor.accept("EXISTS");
+}
+
+/**
+ * Skips the action after ON in "ON DELETE SET NULL", "ON UPDATE CASCADE",
+ * "ON DELETE NO ACTION" or MySQL's "ON UPDATE CURRENT_TIMESTAMP", so that
+ * its words are not read as column constraints.
+ * @param {object} cursor - From createCursor, after the ON.
+ */
+function skipAction(cursor) {
+  cursor.skip(); // DELETE or UPDATE
+  cursor.accept("SET", "NO");
+  cursor.skip();
+}
+
+/**
+ * Finds the table and column a foreign key column references. Without a
+ * column the reference is to the primary key column at the same position.
+ * @param {{table: string, column?: string, position: number}} [reference]
+ * @param {Map} tables - All tables by name.
+ * @returns {{table: string, column: string}|null} Null when the table or
+ *   column is not in the script.
+ */
+function resolveReference(reference, tables) {
+  if (!reference) return null;
+  const table = tables.get(reference.table);
+  if (!table) return null;
+  const column =
+    reference.column ||
+    [...table.columns.values()].filter((c) => c.pk)[reference.position]?.name;
+  return table.columns.has(column) ? { table: table.name, column } : null;
+}
+
+/**
+ * Reads a possibly schema-qualified name and returns its last part.
+ * @param {object} cursor - From createCursor.
+ * @returns {string}
+ */
+function readName(cursor) {
+  let name = cursor.next()?.value;
+  while (cursor.acceptPunct(".")) name = cursor.next()?.value;
+  return name;
+}
+
+/**
+ * Reads a parenthesized list of column names. Entries may carry a length
+ * or sort order, as in MySQL "KEY (name(10) DESC)"; only names are kept.
+ * @param {object} cursor - From createCursor, at the "(".
+ * @returns {string[]}
+ */
+function readNameList(cursor) {
+  if (!cursor.acceptPunct("(")) return [];
+  return splitList(cursor.readGroupTokens()).map((tokens) => tokens[0]?.value);
+}
+
+/**
+ * Skips a DEFAULT expression: a literal, name or call, in parentheses or
+ * not, with an optional sign and PostgreSQL "::type" casts.
+ * @param {object} cursor - From createCursor.
+ */
+function readExpression(cursor) {
+  cursor.acceptPunct("-") || cursor.acceptPunct("+");
+  if (cursor.acceptPunct("(")) {
+    cursor.readGroupTokens();
+  } else {
+    cursor.skip();
+  }
+  while (cursor.acceptPunct("::")) {
+    cursor.skip();
+    if (cursor.peekWord() === "VARYING") cursor.skip();
+  }
+}
+
+/**
+ * Tells MySQL scripts, the only ones where backslashes escape in strings,
+ * by their backquoted names or ENGINE table options.
+ * @param {string} sql
+ * @returns {boolean}
+ */
+function isMySQLScript(sql) {
+  return /`|\)\s*ENGINE\s*=/i.test(sql);
+}
+
+/**
+ * Splits SQL into tokens, dropping whitespace and comments. Tokens are
+ * {type, value, start, end} where type is "word" (bare word), "name"
+ * (quoted identifier), "string", "number" or "punct". Quoted identifiers
+ * and strings have their quotes removed in "value".
+ * @param {string} sql
+ * @param {boolean} backslashEscapes - Whether backslashes escape characters
+ *   in all strings, as in MySQL.
+ * @returns {object[]}
+ */
+function tokenize(sql, backslashEscapes) {
+  const tokens = [];
+  let i = 0;
+  while (i < sql.length) {
+    const start = i;
+    const ch = sql[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (sql.startsWith("--", i) || ch === "#") {
+      i = sql.indexOf("\n", i);
+      if (i < 0) i = sql.length;
+    } else if (sql.startsWith("/*", i)) {
+      i = sql.indexOf("*/", i + 2);
+      i = i < 0 ? sql.length : i + 2;
+    } else if (ch === "'" || ch === '"' || ch === "`") {
+      // Doubled quotes stand for one. MySQL strings and PostgreSQL E'...'
+      // strings also escape with backslashes, elsewhere a backslash is literal.
+      const prefix = tokens[tokens.length - 1];
+      const escapeString =
+        ch === "'" &&
+        prefix?.type === "word" &&
+        /^e$/i.test(prefix.value) &&
+        prefix.end === start;
+      if (escapeString) tokens.pop();
+      const escapes = escapeString || (ch === "'" && backslashEscapes);
+      let value = "";
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === ch && sql[i + 1] === ch) {
+          value += ch;
+          i += 2;
+        } else if (sql[i] === ch) {
+          i++;
+          break;
+        } else if (sql[i] === "\\" && escapes) {
+          value += sql[i + 1] || "";
+          i += 2;
+        } else {
+          value += sql[i++];
+        }
+      }
+      const type = ch === "'" ? "string" : "name";
+      tokens.push({
+        type,
+        value,
+        start: escapeString ? prefix.start : start,
+        end: i,
+      });
+    } else if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+      const match = /^[\w$\u0080-\uffff]+/.exec(sql.slice(i));
+      i += match[0].length;
+      tokens.push({ type: "word", value: match[0], start, end: i });
+    } else if (/\d/.test(ch) || (ch === "." && /\d/.test(sql[i + 1]))) {
+      const match = /^\d*\.?\d+(?:[eE][-+]?\d+)?/.exec(sql.slice(i));
+      i += match[0].length;
+      tokens.push({ type: "number", value: match[0], start, end: i });
+    } else {
+      i += sql.startsWith("::", i) ? 2 : 1;
+      const value = sql.slice(start, i);
+      tokens.push({ type: "punct", value, start, end: i });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Splits tokens into statements at semicolons.
+ * @param {object[]} tokens
+ * @returns {object[][]} Non-empty statements.
+ */
+function splitStatements(tokens) {
+  const statements = [[]];
+  tokens.forEach((token) => {
+    if (token.type === "punct" && token.value === ";") statements.push([]);
+    else statements[statements.length - 1].push(token);
+  });
+  return statements.filter((statement) => statement.length > 0);
+}
+
+/**
+ * Splits tokens into list items at commas outside parentheses.
+ * @param {object[]} tokens
+ * @returns {object[][]} Non-empty items.
+ */
+function splitList(tokens) {
+  const items = [[]];
+  let depth = 0;
+  tokens.forEach((token) => {
+    if (token.type === "punct" && token.value === "(") depth++;
+    if (token.type === "punct" && token.value === ")") depth--;
+    if (depth === 0 && token.type === "punct" && token.value === ",") {
+      items.push([]);
+    } else {
+      items[items.length - 1].push(token);
+    }
+  });
+  return items.filter((item) => item.length > 0);
+}
+
+/**
+ * Creates a cursor over the tokens of a statement. Keywords are matched
+ * case-insensitively against bare words only, so quoted names never count
+ * as keywords.
+ * @param {object[]} tokens - From tokenize.
+ * @param {string} sql - Source the tokens come from, for textSince.
+ * @returns {object} Cursor.
+ */
+function createCursor(tokens, sql) {
+  let index = 0;
+  const isPunct = (token, value) =>
+    token !== undefined && token.type === "punct" && token.value === value;
+  const cursor = {
+    sql,
+    done: () => index >= tokens.length,
+    position: () => index,
+    next: () => tokens[index++],
+    skip: () => {
+      // Skips a token, with the parenthesized group following it
+      index++;
+      if (isPunct(tokens[index], "(")) {
+        index++;
+        cursor.readGroupTokens();
+      }
+    },
+    rest: () => tokens.slice(index),
+    // Upper-cased bare word at the given offset, or undefined
+    peekWord: (offset = 0) => {
+      const token = tokens[index + offset];
+      return token && token.type === "word"
+        ? token.value.toUpperCase()
+        : undefined;
+    },
+    // Whether the token at the given offset is the punctuation
+    peekPunct: (value, offset = 0) => isPunct(tokens[index + offset], value),
+    accept: (...words) => {
+      if (!words.includes(cursor.peekWord())) return false;
+      index++;
+      return true;
+    },
+    acceptPunct: (value) => {
+      if (!isPunct(tokens[index], value)) return false;
+      index++;
+      return true;
+    },
+    // Tokens up to the ")" closing an already opened group, which is skipped
+    readGroupTokens: () => {
+      const start = index;
+      let depth = 1;
+      for (; index < tokens.length; index++) {
+        if (isPunct(tokens[index], "(")) depth++;
+        if (isPunct(tokens[index], ")") && --depth === 0) break;
+      }
+      return tokens.slice(start, index++);
+    },
+    // Source text of the tokens read since a position, spaces collapsed
+    textSince: (start) => {
+      if (start >= index) return "";
+      return sql
+        .slice(tokens[start].start, tokens[index - 1].end)
+        .replace(/\s+/g, " ");
+    },
+  };
+  return cursor;
+}
@@ -1,4 +1,6 @@
 // core/validate.js
+import { takeForeignKey } from "../render/erd.js";
+
 export const validate = {
   /**
    * Checks for basic JSON parsing errors.
@@ -68,6 +70,8 @@ export const validate = {
       return errors;
     }
 
+    this._validateClasses(data, errors, getIndex);
+
     switch (data.type) {
       case "flowchart":
         this._validateFlowchart(data, errors, getIndex);
@@ -85,8 +89,187 @@ export const validate = {
 
   // --- Internal Validation Functions ---
 
+  _validateClasses(data, errors, getIndex) {
+    if (data.classes === undefined) return;
+    if (
+      typeof data.classes !== "object" ||
+      data.classes === null ||
+      Array.isArray(data.classes)
+    ) {
+      errors.push({
+        message: '"classes" must be an object mapping class names to styles.',
+        index: getIndex(["classes"]),
+      });
+      return;
+    }
+    Object.entries(data.classes).forEach(([name, style]) => {
+      if (!name.trim() || /\s/.test(name)) {
+        errors.push({
+          message: `Class name "${name}" must be non-empty and contain no spaces.`,
+          index: getIndex(["classes", name]),
+        });
+      }
+      this._validateStyle(
+        style,
+        ["classes", name],
+        `Class "${name}"`,
+        errors,
+        getIndex
+      );
+    });
+  },
+
+  /**
+   * Checks a style override object {fill, stroke, strokeWidth, textColor,
+   * fontWeight}.
+   */
+  _validateStyle(style, path, label, errors, getIndex) {
+    if (typeof style !== "object" || style === null || Array.isArray(style)) {
+      errors.push({
+        message: `${label} style must be an object.`,
+        index: getIndex(path),
+      });
+      return;
+    }
+    const validStyleKeys = [
+      "fill",
+      "stroke",
+      "strokeWidth",
+      "textColor",
+      "fontWeight",
+    ];
+    const validFontWeights = ["normal", "bold", "lighter", "bolder"];
+    Object.keys(style).forEach((key) => {
+      if (!validStyleKeys.includes(key)) {
+        errors.push({
+          message: `${label} style has unknown property "${key}". Must be one of: ${validStyleKeys.join(
+            ", "
+          )}.`,
+          index: getIndex([...path, key]),
+        });
+      }
+    });
+    ["fill", "stroke", "textColor"].forEach((key) => {
+      if (
+        style[key] !== undefined &&
+        (typeof style[key] !== "string" || !style[key].trim())
+      ) {
+        errors.push({
+          message: `${label} style "${key}" must be a non-empty color string.`,
+          index: getIndex([...path, key]),
+        });
+      }
+    });
+    if (
+      style.strokeWidth !== undefined &&
+      (typeof style.strokeWidth !== "number" || !(style.strokeWidth >= 0))
+    ) {
+      errors.push({
+        message: `${label} style "strokeWidth" must be a non-negative number.`,
+        index: getIndex([...path, "strokeWidth"]),
+      });
+    }
+    if (
+      style.fontWeight !== undefined &&
+      !validFontWeights.includes(style.fontWeight) &&
+      !(
+        typeof style.fontWeight === "number" &&
+        style.fontWeight >= 1 &&
+        style.fontWeight <= 1000
+      )
+    ) {
+      errors.push({
+        message: `${label} style "fontWeight" must be a number from 1 to 1000 or one of: ${validFontWeights.join(
+          ", "
+        )}.`,
+        index: getIndex([...path, "fontWeight"]),
+      });
+    }
+  },
+
+  /**
+   * Checks the optional "link" and "tooltip" fields of an element. Diagrams
+   * arrive through share URLs, so links are limited to web and mail schemes
+   * or relative URLs.
+   */
+  _validateLink(element, path, label, errors, getIndex) {
+    const validSchemes = ["http:", "https:", "mailto:"];
+    if (element.link !== undefined) {
+      // Browsers drop control characters and spaces when parsing the scheme
+      const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(
+        typeof element.link === "string"
+          ? element.link.replace(/[\u0000-\u0020]/g, "")
+          : ""
+      );
+      if (typeof element.link !== "string" || !element.link.trim()) {
+        errors.push({
+          message: `${label} "link" must be a non-empty string.`,
+          index: getIndex([...path, "link"]),
+        });
+      } else if (scheme && !validSchemes.includes(scheme[1].toLowerCase())) {
+        errors.push({
+          message: `${label} "link" must be a relative URL or use one of: ${validSchemes.join(
+            ", "
+          )}.`,
+          index: getIndex([...path, "link"]),
+        });
+      }
+    }
+    if (
+      element.tooltip !== undefined &&
+      (typeof element.tooltip !== "string" || !element.tooltip.trim())
+    ) {
+      errors.push({
+        message: `${label} "tooltip" must be a non-empty string.`,
+        index: getIndex([...path, "tooltip"]),
+      });
+    }
+  },
+
+  /**
+   * Checks the "class" field of an element: space-separated names of entries
+   * in the top-level "classes" map.
+   */
+  _validateClassRef(element, data, path, label, errors, getIndex) {
+    if (element.class === undefined) return;
+    if (typeof element.class !== "string") {
+      errors.push({
+        message: `${label} "class" must be a string.`,
+        index: getIndex([...path, "class"]),
+      });
+      return;
+    }
+    const classes =
+      typeof data.classes === "object" && data.classes !== null
+        ? data.classes
+        : {};
+    element.class
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((name) => {
+        if (!Object.prototype.hasOwnProperty.call(classes, name)) {
+          errors.push({
+            message: `${label} "class" references unknown class "${name}".`,
+            index: getIndex([...path, "class"]),
+          });
+        }
+      });
+  },
+
   _validateFlowchart(data, errors, getIndex) {
     const nodeIds = new Set();
+    const validShapes = [
+      "rect",
+      "diamond",
+      "stadium",
+      "terminator", // Alias of stadium
+      "parallelogram",
+      "cylinder",
+      "circle",
+      "hexagon",
+      "subroutine",
+      "document",
+    ];
     if (!Array.isArray(data.nodes)) {
       errors.push({
         message: 'Flowchart "nodes" must be an array.',
@@ -121,8 +304,143 @@ export const validate = {
           index: getIndex(["nodes", i, "label"]),
         });
       }
+      if (node.shape !== undefined && !validShapes.includes(node.shape)) {
+        errors.push({
+          message: `Node "${
+            node.id
+          }" "shape" must be one of: ${validShapes.join(", ")}.`,
+          index: getIndex(["nodes", i, "shape"]),
+        });
+      }
+      const nodePath = ["nodes", i];
+      if (node.style !== undefined) {
+        this._validateStyle(
+          node.style,
+          [...nodePath, "style"],
+          `Node "${node.id}"`,
+          errors,
+          getIndex
+        );
+      }
+      this._validateClassRef(
+        node,
+        data,
+        nodePath,
+        `Node "${node.id}"`,
+        errors,
+        getIndex
+      );
+      this._validateLink(node, nodePath, `Node "${node.id}"`, errors, getIndex);
     });
 
+    // Groups may nest through "parent"; group IDs are valid edge endpoints
+    const groupParents = new Map();
+    const nodeGroups = new Map(); // nodeId -> groupId
+    if (data.groups !== undefined && !Array.isArray(data.groups)) {
+      errors.push({
+        message: 'Flowchart "groups" must be an array.',
+        index: getIndex(["groups"]),
+      });
+    } else if (data.groups !== undefined) {
+      data.groups.forEach((group, i) => {
+        if (typeof group !== "object" || group === null) {
+          errors.push({
+            message: `Group at index ${i} must be an object.`,
+            index: getIndex(["groups", i]),
+          });
+          return;
+        }
+        if (typeof group.id !== "string" || !group.id.trim()) {
+          errors.push({
+            message: `Group at index ${i} must have a non-empty string "id".`,
+            index: getIndex(["groups", i, "id"]),
+          });
+        }
+        if (groupParents.has(group.id) || nodeIds.has(group.id)) {
+          errors.push({
+            message: `Duplicate group ID: "${group.id}" is already used by a node or group.`,
+            index: getIndex(["groups", i, "id"]),
+          });
+        }
+        groupParents.set(group.id, group.parent);
+        if (group.label !== undefined && typeof group.label !== "string") {
+          errors.push({
+            message: `Group "${group.id}" "label" must be a string.`,
+            index: getIndex(["groups", i, "label"]),
+          });
+        }
+        if (group.nodes !== undefined && !Array.isArray(group.nodes)) {
+          errors.push({
+            message: `Group "${group.id}" "nodes" must be an array.`,
+            index: getIndex(["groups", i, "nodes"]),
+          });
+          return;
+        }
+        (group.nodes || []).forEach((nodeId, j) => {
+          if (!nodeIds.has(nodeId)) {
+            errors.push({
+              message: `Group "${group.id}" node "${nodeId}" not found.`,
+              index: getIndex(["groups", i, "nodes", j]),
+            });
+          } else if (nodeGroups.has(nodeId)) {
+            errors.push({
+              message: `Node "${nodeId}" belongs to more than one group. Nest groups with "parent" instead.`,
+              index: getIndex(["groups", i, "nodes", j]),
+            });
+          }
+          nodeGroups.set(nodeId, group.id);
+        });
+      });
+
+      data.groups.forEach((group, i) => {
+        if (typeof group !== "object" || group === null) return;
+        if (group.parent !== undefined) {
+          if (!groupParents.has(group.parent) || group.parent === group.id) {
+            errors.push({
+              message: `Group "${group.id}" "parent" group "${group.parent}" not found.`,
+              index: getIndex(["groups", i, "parent"]),
+            });
+          } else {
+            // Walk up the parents; coming back to this group means a cycle
+            const seen = new Set([group.id]);
+            let current = group.parent;
+            while (current !== undefined && !seen.has(current)) {
+              seen.add(current);
+              current = groupParents.get(current);
+            }
+            if (current === group.id) {
+              errors.push({
+                message: `Group "${group.id}" is nested inside itself.`,
+                index: getIndex(["groups", i, "parent"]),
+              });
+            }
+          }
+        }
+        const hasChildren = data.groups.some(
+          (other) => other && other.parent === group.id
+        );
+        if (!hasChildren && (!group.nodes || group.nodes.length === 0)) {
+          errors.push({
+            message: `Group "${group.id}" must contain at least one node or group.`,
+            index: getIndex(["groups", i]),
+          });
+        }
+      });
+    }
+
+    // IDs of the groups around a node or group, innermost first
+    const getAncestors = (id) => {
+      const ancestors = [];
+      let current = groupParents.has(id)
+        ? groupParents.get(id)
+        : nodeGroups.get(id);
+      while (current !== undefined && !ancestors.includes(current)) {
+        ancestors.push(current);
+        current = groupParents.get(current);
+      }
+      return ancestors;
+    };
+
     if (!Array.isArray(data.edges)) {
       errors.push({
         message: 'Flowchart "edges" must be an array.',
@@ -130,6 +448,9 @@ export const validate = {
       });
       return;
     }
+    const validLines = ["solid", "dashed", "dotted", "thick"];
+    const validArrows = ["none", "start", "end", "both"]; // Ends with a marker
+    const validArrowheads = ["arrow", "open", "circle", "cross"];
     data.edges.forEach((edge, i) => {
       if (typeof edge !== "object" || edge === null) {
         errors.push({
@@ -138,21 +459,32 @@ export const validate = {
         });
         return;
       }
-      if (typeof edge.from !== "string" || !nodeIds.has(edge.from)) {
+      const isEndpoint = (id) =>
+        typeof id === "string" && (nodeIds.has(id) || groupParents.has(id));
+      if (!isEndpoint(edge.from)) {
         errors.push({
           message: `Edge at index ${i} "from" node "${edge.from}" not found.`,
           index: getIndex(["edges", i, "from"]),
         });
       }
-      if (typeof edge.to !== "string" || !nodeIds.has(edge.to)) {
+      if (!isEndpoint(edge.to)) {
         errors.push({
           message: `Edge at index ${i} "to" node "${edge.to}" not found.`,
           index: getIndex(["edges", i, "to"]),
         });
       }
-      if (edge.from === edge.to) {
+      if (
+        isEndpoint(edge.from) &&
+        isEndpoint(edge.to) &&
+        (groupParents.has(edge.from) || groupParents.has(edge.to)) &&
+        (edge.from === edge.to ||
+          getAncestors(edge.from).includes(edge.to) ||
+          getAncestors(edge.to).includes(edge.from))
+      ) {
         errors.push({
-          message: `Edge at index ${i} forms a self-loop (${edge.from} to ${edge.to}). Self-loops are not allowed.`,
+          message: `Edge at index ${i} cannot connect group "${
+            groupParents.has(edge.from) ? edge.from : edge.to
+          }" to itself or its own contents.`,
           index: getIndex(["edges", i]),
         });
       }
@@ -162,12 +494,64 @@ export const validate = {
           index: getIndex(["edges", i, "label"]),
         });
       }
+      if (edge.line !== undefined && !validLines.includes(edge.line)) {
+        errors.push({
+          message: `Edge at index ${i} "line" must be one of: ${validLines.join(
+            ", "
+          )}.`,
+          index: getIndex(["edges", i, "line"]),
+        });
+      }
+      if (edge.style !== undefined) {
+        this._validateStyle(
+          edge.style,
+          ["edges", i, "style"],
+          `Edge at index ${i}`,
+          errors,
+          getIndex
+        );
+      }
+      this._validateClassRef(
+        edge,
+        data,
+        ["edges", i],
+        `Edge at index ${i}`,
+        errors,
+        getIndex
+      );
+      this._validateLink(
+        edge,
+        ["edges", i],
+        `Edge at index ${i}`,
+        errors,
+        getIndex
+      );
+      if (edge.arrow !== undefined && !validArrows.includes(edge.arrow)) {
+        errors.push({
+          message: `Edge at index ${i} "arrow" must be one of: ${validArrows.join(
+            ", "
+          )}.`,
+          index: getIndex(["edges", i, "arrow"]),
+        });
+      }
+      if (
+        edge.arrowhead !== undefined &&
+        !validArrowheads.includes(edge.arrowhead)
+      ) {
+        errors.push({
+          message: `Edge at index ${i} "arrowhead" must be one of: ${validArrowheads.join(
+            ", "
+          )}.`,
+          index: getIndex(["edges", i, "arrowhead"]),
+        });
+      }
     });
 
-    const validDirections = ["TD", "TB", "LR", "RL"]; // TD=TB
+    const validDirections = ["TD", "TB", "BT", "LR", "RL"]; // TD=TB
     if (
-      data.direction &&
-      !validDirections.includes(data.direction.toUpperCase())
+      data.direction !== undefined &&
+      (typeof data.direction !== "string" ||
+        !validDirections.includes(data.direction.toUpperCase()))
     ) {
       errors.push({
         message: `Flowchart "direction" must be one of: ${validDirections.join(
@@ -187,22 +571,79 @@ export const validate = {
       });
       return;
     }
+    const validParticipantKinds = [
+      "participant",
+      "actor",
+      "boundary",
+      "control",
+      "entity",
+      "database",
+      "queue",
+      "collections",
+    ];
     data.participants.forEach((p, i) => {
-      if (typeof p !== "string" || !p.trim()) {
+      // Participants are name strings, or {id, label, kind, ...} objects
+      const isObject = typeof p === "object" && p !== null;
+      const name = isObject ? p.id : p;
+      if (typeof name !== "string" || !name.trim()) {
         errors.push({
-          message: `Participant at index ${i} must be a non-empty string.`,
+          message: `Participant at index ${i} must be a non-empty string or an object with a non-empty string "id".`,
           index: getIndex(["participants", i]),
         });
       }
-      if (participantNames.has(p)) {
+      if (participantNames.has(name)) {
         errors.push({
-          message: `Duplicate participant name: "${p}".`,
+          message: `Duplicate participant name: "${name}".`,
           index: getIndex(["participants", i]),
         });
       }
-      participantNames.add(p);
+      participantNames.add(name);
+      if (isObject) {
+        if (
+          p.label !== undefined &&
+          (typeof p.label !== "string" || !p.label.trim())
+        ) {
+          errors.push({
+            message: `Participant "${name}" label must be a non-empty string.`,
+            index: getIndex(["participants", i, "label"]),
+          });
+        }
+        if (p.kind !== undefined && !validParticipantKinds.includes(p.kind)) {
+          errors.push({
+            message: `Participant "${name}" has invalid kind "${
+              p.kind
+            }". Must be one of: ${validParticipantKinds.join(", ")}.`,
+            index: getIndex(["participants", i, "kind"]),
+          });
+        }
+        if (p.style !== undefined) {
+          this._validateStyle(
+            p.style,
+            ["participants", i, "style"],
+            `Participant "${name}"`,
+            errors,
+            getIndex
+          );
+        }
+        this._validateClassRef(
+          p,
+          data,
+          ["participants", i],
+          `Participant "${name}"`,
+          errors,
+          getIndex
+        );
+        this._validateLink(
+          p,
+          ["participants", i],
+          `Participant "${name}"`,
+          errors,
+          getIndex
+        );
+      }
     });
 
+    this._validateAutonumber(data.autonumber, errors, getIndex);
     if (!Array.isArray(data.messages)) {
       errors.push({
         message: 'Sequence "messages" must be an array.',
@@ -210,38 +651,457 @@ export const validate = {
       });
       return;
     }
-    data.messages.forEach((msg, i) => {
-      if (typeof msg !== "object" || msg === null) {
-        errors.push({
-          message: `Message at index ${i} must be an object.`,
-          index: getIndex(["messages", i]),
-        });
+    const validKinds = [
+      "sync",
+      "async",
+      "reply",
+      "create",
+      "destroy",
+      "lost",
+      "found",
+    ];
+    // Lifeline state of each participant, tracked in message order:
+    // "pending" until its create message, "destroyed" after its destroy one
+    const lifelines = new Map(
+      [...participantNames].map((name) => [name, "alive"])
+    );
+    // Messages in drawing order, with fragments opened up
+    const entries = this._collectMessages(
+      data.messages,
+      ["messages"],
+      errors,
+      getIndex
+    );
+    entries.forEach(({ msg }) => {
+      if (msg.kind === "create" && lifelines.has(msg.to)) {
+        lifelines.set(msg.to, "pending");
+      }
+    });
+    const activations = new Map(); // Open activations per participant
+    entries.forEach(({ msg, path, label }) => {
+      if (msg.note !== undefined) {
+        this._validateNote(
+          msg,
+          path,
+          label,
+          participantNames,
+          errors,
+          getIndex
+        );
         return;
       }
-      if (typeof msg.from !== "string" || !participantNames.has(msg.from)) {
+      if (msg.kind !== undefined && !validKinds.includes(msg.kind)) {
         errors.push({
-          message: `Message at index ${i} "from" participant "${msg.from}" not found.`,
-          index: getIndex(["messages", i, "from"]),
+          message: `${label} has invalid kind "${
+            msg.kind
+          }". Must be one of: ${validKinds.join(", ")}.`,
+          index: getIndex([...path, "kind"]),
         });
       }
-      if (typeof msg.to !== "string" || !participantNames.has(msg.to)) {
+      // Found messages come from outside the diagram, lost ones go nowhere
+      ["from", "to"].forEach((end) => {
+        const optional =
+          (end === "from" && msg.kind === "found") ||
+          (end === "to" && msg.kind === "lost");
+        if (optional && msg[end] === undefined) return;
+        if (typeof msg[end] !== "string" || !participantNames.has(msg[end])) {
+          errors.push({
+            message: `${label} "${end}" participant "${msg[end]}" not found.`,
+            index: getIndex([...path, end]),
+          });
+        } else if (end === "to" && msg.kind === "create") {
+          if (lifelines.get(msg.to) !== "pending") {
+            errors.push({
+              message: `${label} creates participant "${msg.to}", which already exists.`,
+              index: getIndex([...path, "to"]),
+            });
+          }
+        } else if (lifelines.get(msg[end]) === "pending") {
+          errors.push({
+            message: `${label} uses participant "${msg[end]}" before its create message.`,
+            index: getIndex([...path, end]),
+          });
+        } else if (lifelines.get(msg[end]) === "destroyed") {
+          errors.push({
+            message: `${label} uses participant "${msg[end]}" after its destroy message.`,
+            index: getIndex([...path, end]),
+          });
+        }
+      });
+      if (
+        ["create", "lost", "found"].includes(msg.kind) &&
+        msg.from !== undefined &&
+        msg.from === msg.to
+      ) {
         errors.push({
-          message: `Message at index ${i} "to" participant "${msg.to}" not found.`,
-          index: getIndex(["messages", i, "to"]),
+          message: `${label} of kind "${msg.kind}" cannot be sent to itself.`,
+          index: getIndex([...path, "kind"]),
         });
       }
+      if (
+        (msg.kind === "create" || msg.kind === "destroy") &&
+        lifelines.has(msg.to)
+      ) {
+        lifelines.set(msg.to, msg.kind === "create" ? "alive" : "destroyed");
+      }
+      // "deactivate" ends the sender's innermost activation, then "activate"
+      // starts one on the receiver
+      ["activate", "deactivate"].forEach((flag) => {
+        if (msg[flag] !== undefined && typeof msg[flag] !== "boolean") {
+          errors.push({
+            message: `${label} "${flag}" must be a boolean.`,
+            index: getIndex([...path, flag]),
+          });
+        }
+      });
+      if (msg.deactivate === true) {
+        if (msg.kind === "found") {
+          errors.push({
+            message: `${label} is a found message and cannot deactivate its sender.`,
+            index: getIndex([...path, "deactivate"]),
+          });
+        } else if (!activations.get(msg.from)) {
+          errors.push({
+            message: `${label} deactivates "${msg.from}", which has no open activation.`,
+            index: getIndex([...path, "deactivate"]),
+          });
+        } else {
+          activations.set(msg.from, activations.get(msg.from) - 1);
+        }
+      }
+      if (msg.activate === true) {
+        if (msg.kind === "lost") {
+          errors.push({
+            message: `${label} is a lost message and cannot activate a receiver.`,
+            index: getIndex([...path, "activate"]),
+          });
+        } else {
+          activations.set(msg.to, (activations.get(msg.to) || 0) + 1);
+        }
+      }
+      if (msg.kind === "destroy") activations.delete(msg.to);
       if (typeof msg.text !== "string" || !msg.text.trim()) {
         errors.push({
-          message: `Message at index ${i} must have a non-empty string "text".`,
-          index: getIndex(["messages", i, "text"]),
+          message: `${label} must have a non-empty string "text".`,
+          index: getIndex([...path, "text"]),
+        });
+      }
+      this._validateLink(msg, path, label, errors, getIndex);
+    });
+  },
+
+  /**
+   * Checks the sequence "autonumber" option: a boolean, a start number, or
+   * {start, format} where format is a template such as "1", "1.1" or "[01]".
+   */
+  _validateAutonumber(autonumber, errors, getIndex) {
+    if (autonumber === undefined || typeof autonumber === "boolean") return;
+    const isStart = (value) => Number.isInteger(value) && value >= 0;
+    if (typeof autonumber === "number") {
+      if (!isStart(autonumber)) {
+        errors.push({
+          message: '"autonumber" start must be a non-negative integer.',
+          index: getIndex(["autonumber"]),
+        });
+      }
+      return;
+    }
+    if (typeof autonumber !== "object" || autonumber === null) {
+      errors.push({
+        message:
+          '"autonumber" must be true, a start number, or an object {start, format}.',
+        index: getIndex(["autonumber"]),
+      });
+      return;
+    }
+    if (autonumber.start !== undefined && !isStart(autonumber.start)) {
+      errors.push({
+        message: '"autonumber" start must be a non-negative integer.',
+        index: getIndex(["autonumber", "start"]),
+      });
+    }
+    if (
+      autonumber.format !== undefined &&
+      (typeof autonumber.format !== "string" || !/\d/.test(autonumber.format))
+    ) {
+      errors.push({
+        message:
+          '"autonumber" format must be a string with digits marking the number, e.g. "1", "1.1" or "[01]".',
+        index: getIndex(["autonumber", "format"]),
+      });
+    }
+  },
+
+  /**
+   * Checks a sequence note {note, position, participants}, where
+   * "participants" is one name or a list of them.
+   */
+  _validateNote(note, path, label, participantNames, errors, getIndex) {
+    const validPositions = ["left", "right", "over"];
+    if (typeof note.note !== "string" || !note.note.trim()) {
+      errors.push({
+        message: `${label} must have a non-empty string "note".`,
+        index: getIndex([...path, "note"]),
+      });
+    }
+    if (
+      note.position !== undefined &&
+      !validPositions.includes(note.position)
+    ) {
+      errors.push({
+        message: `${label} has invalid position "${
+          note.position
+        }". Must be one of: ${validPositions.join(", ")}.`,
+        index: getIndex([...path, "position"]),
+      });
+    }
+    const names = [].concat(note.participants);
+    if (note.participants === undefined || names.length === 0) {
+      errors.push({
+        message: `${label} must name a participant in "participants".`,
+        index: getIndex(path),
+      });
+      return;
+    }
+    names.forEach((name) => {
+      if (typeof name !== "string" || !participantNames.has(name)) {
+        errors.push({
+          message: `${label} participant "${name}" not found.`,
+          index: getIndex([...path, "participants"]),
+        });
+      }
+    });
+    if (
+      (note.position === "left" || note.position === "right") &&
+      names.length > 1
+    ) {
+      errors.push({
+        message: `${label} placed "${note.position}" must name a single participant; use "over" for several.`,
+        index: getIndex([...path, "participants"]),
+      });
+    }
+  },
+
+  /**
+   * Walks a sequence "messages" list, checking the fragments, dividers and
+   * delays in it, and returns its messages and notes in drawing order as
+   * {msg, path, label}.
+   */
+  _collectMessages(items, path, errors, getIndex, entries = []) {
+    const validFragments = ["alt", "opt", "loop", "par", "critical", "break"];
+    items.forEach((item, i) => {
+      const itemPath = [...path, i];
+      // Top-level entries are described by index, nested ones by path
+      const where =
+        itemPath.length === 2
+          ? `index ${i}`
+          : itemPath
+              .map((part) => (typeof part === "number" ? `[${part}]` : part))
+              .join(".")
+              .replace(/\.\[/g, "[");
+      if (typeof item !== "object" || item === null) {
+        errors.push({
+          message: `Message at ${where} must be an object.`,
+          index: getIndex(itemPath),
+        });
+        return;
+      }
+      if (item.divider !== undefined) {
+        if (typeof item.divider !== "string" || !item.divider.trim()) {
+          errors.push({
+            message: `Divider at ${where} must have a non-empty string "divider".`,
+            index: getIndex([...itemPath, "divider"]),
+          });
+        }
+        return;
+      }
+      if (item.delay !== undefined) {
+        if (
+          item.delay !== true &&
+          (typeof item.delay !== "string" || !item.delay.trim())
+        ) {
+          errors.push({
+            message: `Delay at ${where} must be true or a non-empty string label.`,
+            index: getIndex([...itemPath, "delay"]),
+          });
+        }
+        return;
+      }
+      if (item.fragment === undefined) {
+        const kind = item.note !== undefined ? "Note" : "Message";
+        entries.push({
+          msg: item,
+          path: itemPath,
+          label: `${kind} at ${where}`,
+        });
+        return;
+      }
+
+      const label = `Fragment at ${where}`;
+      if (!validFragments.includes(item.fragment)) {
+        errors.push({
+          message: `${label} has invalid fragment "${
+            item.fragment
+          }". Must be one of: ${validFragments.join(", ")}.`,
+          index: getIndex([...itemPath, "fragment"]),
+        });
+      }
+      // Single-operand fragments may give "guard" and "messages" directly
+      let branches = [{ branch: item, path: itemPath }];
+      if (item.branches !== undefined) {
+        if (item.messages !== undefined || item.guard !== undefined) {
+          errors.push({
+            message: `${label} must give either "branches" or "guard"/"messages", not both.`,
+            index: getIndex([...itemPath, "branches"]),
+          });
+        }
+        if (!Array.isArray(item.branches) || item.branches.length === 0) {
+          errors.push({
+            message: `${label} "branches" must be a non-empty array.`,
+            index: getIndex([...itemPath, "branches"]),
+          });
+          return;
+        }
+        if (
+          item.branches.length > 1 &&
+          !["alt", "par"].includes(item.fragment)
+        ) {
+          errors.push({
+            message: `${label} of type "${item.fragment}" can only have one branch; use "alt" or "par" for several.`,
+            index: getIndex([...itemPath, "branches"]),
+          });
+        }
+        branches = item.branches.map((branch, b) => ({
+          branch,
+          path: [...itemPath, "branches", b],
+        }));
+      }
+      branches.forEach(({ branch, path: branchPath }) => {
+        if (typeof branch !== "object" || branch === null) {
+          errors.push({
+            message: `${label} has a branch that is not an object.`,
+            index: getIndex(branchPath),
+          });
+          return;
+        }
+        if (
+          branch.guard !== undefined &&
+          (typeof branch.guard !== "string" || !branch.guard.trim())
+        ) {
+          errors.push({
+            message: `${label} guard must be a non-empty string.`,
+            index: getIndex([...branchPath, "guard"]),
+          });
+        }
+        if (!Array.isArray(branch.messages)) {
+          errors.push({
+            message: `${label} must have a "messages" array in each branch.`,
+            index: getIndex([...branchPath, "messages"]),
+          });
+          return;
+        }
+        this._collectMessages(
+          branch.messages,
+          [...branchPath, "messages"],
+          errors,
+          getIndex,
+          entries
+        );
+      });
+    });
+    return entries;
+  },
+
+  /**
+   * Checks a list of attribute names of an entity, as used by composite
+   * keys and indexes: non-empty, without repeats, naming known attributes.
+   */
+  _validateAttributeList(names, attributes, path, label, errors, getIndex) {
+    if (
+      !Array.isArray(names) ||
+      names.length === 0 ||
+      names.some((name) => typeof name !== "string")
+    ) {
+      errors.push({
+        message: `${label} must be a non-empty array of attribute names.`,
+        index: getIndex(path),
+      });
+      return;
+    }
+    names.forEach((name, k) => {
+      if (!attributes.has(name)) {
+        errors.push({
+          message: `${label} references unknown attribute "${name}".`,
+          index: getIndex([...path, k]),
+        });
+      } else if (names.indexOf(name) !== k) {
+        errors.push({
+          message: `${label} lists attribute "${name}" more than once.`,
+          index: getIndex([...path, k]),
         });
       }
     });
   },
 
+  /**
+   * Checks a relationship against the first foreign key between its two
+   * entities that no earlier relationship took, paired as the renderer does
+   * (see takeForeignKey). A row is referenced by many rows at most, and by
+   * one at most when the foreign key is unique.
+   */
+  _validateForeignKeyRelationship(rel, i, foreignKeys, errors, getIndex) {
+    const match = takeForeignKey(rel, foreignKeys);
+    if (!match) return;
+    const { fk } = match;
+
+    // Ends as the renderer reads them, the older "cardinality" describing
+    // the "to" end
+    const legacy = {
+      "0..1": ["1..1", "0..1"],
+      "1..1": ["1..1", "1..1"],
+      "1..*": ["1..1", "1..*"],
+      "0..*": ["1..1", "0..*"],
+      "*..*": ["1..*", "1..*"],
+    }[rel.cardinality] || ["1..1", "1..1"];
+    const from = rel.fromCardinality || legacy[0];
+    const to = rel.toCardinality || legacy[1];
+    // Invalid ends are reported by _validateERD
+    const validEnds = ["0..1", "1..1", "0..*", "1..*"];
+    if (!validEnds.includes(from) || !validEnds.includes(to)) return;
+    const [referenced, referencing] =
+      match.referenced === "from" ? [from, to] : [to, from];
+    const fkName =
+      fk.attributes.length === 1
+        ? `${fk.entity}.${fk.attributes[0]}`
+        : `${fk.entity}(${fk.attributes.join(", ")})`;
+
+    if (referenced.endsWith("*")) {
+      errors.push({
+        message: `Relationship at index ${i} allows many "${fk.refEntity}" per "${fk.entity}", but foreign key "${fkName}" references one.`,
+        index: getIndex(["relationships", i]),
+      });
+    }
+    if (fk.unique && referencing.endsWith("*")) {
+      errors.push({
+        message: `Relationship at index ${i} allows many "${fk.entity}" per "${fk.refEntity}", but foreign key "${fkName}" is unique.`,
+        index: getIndex(["relationships", i]),
+      });
+    }
+  },
+
   _validateERD(data, errors, getIndex) {
     const entityNames = new Set();
     const entityAttributes = new Map(); // Store {entityName: Set<attributeName>}
+    const references = []; // Foreign keys, resolved once all entities are known
+    const foreignKeys = []; // Valid foreign keys, checked against relationships
+
+    const validLayouts = ["grid", "layered"];
+    if (data.layout !== undefined && !validLayouts.includes(data.layout)) {
+      errors.push({
+        message: `ERD "layout" must be one of: ${validLayouts.join(", ")}.`,
+        index: getIndex(["layout"]),
+      });
+    }
 
     if (!Array.isArray(data.entities)) {
       errors.push({
@@ -273,6 +1133,39 @@ export const validate = {
       }
       entityNames.add(entity.name);
       entityAttributes.set(entity.name, new Set());
+      if (entity.style !== undefined) {
+        this._validateStyle(
+          entity.style,
+          ["entities", i, "style"],
+          `Entity "${entity.name}"`,
+          errors,
+          getIndex
+        );
+      }
+      this._validateClassRef(
+        entity,
+        data,
+        ["entities", i],
+        `Entity "${entity.name}"`,
+        errors,
+        getIndex
+      );
+      this._validateLink(
+        entity,
+        ["entities", i],
+        `Entity "${entity.name}"`,
+        errors,
+        getIndex
+      );
+      if (
+        entity.comment !== undefined &&
+        (typeof entity.comment !== "string" || !entity.comment.trim())
+      ) {
+        errors.push({
+          message: `Entity "${entity.name}" "comment" must be a non-empty string.`,
+          index: getIndex(["entities", i, "comment"]),
+        });
+      }
 
       if (!Array.isArray(entity.attributes)) {
         errors.push({
@@ -321,18 +1214,7 @@ export const validate = {
               index: getIndex(["entities", i, "attributes", j, "fk"]),
             });
           } else {
-            const [fkEntity, fkAttr] = attr.fk.split(".");
-            if (!entityNames.has(fkEntity)) {
-              errors.push({
-                message: `Foreign key entity "${fkEntity}" for "${entity.name}.${attr.name}" not found.`,
-                index: getIndex(["entities", i, "attributes", j, "fk"]),
-              });
-            } else if (!entityAttributes.get(fkEntity).has(fkAttr)) {
-              errors.push({
-                message: `Foreign key attribute "${fkAttr}" in entity "${fkEntity}" for "${entity.name}.${attr.name}" not found.`,
-                index: getIndex(["entities", i, "attributes", j, "fk"]),
-              });
-            }
+            references.push({ entity: entity.name, attr, path: [i, j] });
           }
         }
         if (attr.unique && typeof attr.unique !== "boolean") {
@@ -341,16 +1223,223 @@ export const validate = {
             index: getIndex(["entities", i, "attributes", j, "unique"]),
           });
         }
+        if (attr.nullable !== undefined && typeof attr.nullable !== "boolean") {
+          errors.push({
+            message: `Attribute "${attr.name}" in "${entity.name}" "nullable" must be a boolean.`,
+            index: getIndex(["entities", i, "attributes", j, "nullable"]),
+          });
+        }
+        if (
+          attr.default !== undefined &&
+          !["string", "number", "boolean"].includes(typeof attr.default)
+        ) {
+          errors.push({
+            message: `Attribute "${attr.name}" in "${entity.name}" "default" must be a string, number or boolean.`,
+            index: getIndex(["entities", i, "attributes", j, "default"]),
+          });
+        }
+        if (
+          attr.comment !== undefined &&
+          (typeof attr.comment !== "string" || !attr.comment.trim())
+        ) {
+          errors.push({
+            message: `Attribute "${attr.name}" in "${entity.name}" "comment" must be a non-empty string.`,
+            index: getIndex(["entities", i, "attributes", j, "comment"]),
+          });
+        }
+        if (
+          attr.enum !== undefined &&
+          (!Array.isArray(attr.enum) ||
+            attr.enum.length === 0 ||
+            attr.enum.some(
+              (value, k) =>
+                typeof value !== "string" || attr.enum.indexOf(value) !== k
+            ))
+        ) {
+          errors.push({
+            message: `Attribute "${attr.name}" in "${entity.name}" "enum" must be a non-empty array of distinct strings.`,
+            index: getIndex(["entities", i, "attributes", j, "enum"]),
+          });
+        }
       });
+
+      // Keys over several attributes are declared on the entity
+      const attributeNames = entityAttributes.get(entity.name);
+      const pkNames = entity.attributes
+        .filter((attr) => attr && attr.pk === true)
+        .map((attr) => attr.name);
+      if (entity.primaryKey !== undefined) {
+        this._validateAttributeList(
+          entity.primaryKey,
+          attributeNames,
+          ["entities", i, "primaryKey"],
+          `Entity "${entity.name}" "primaryKey"`,
+          errors,
+          getIndex
+        );
+        if (hasPk) {
+          errors.push({
+            message: `Entity "${entity.name}" must declare its primary key either with "primaryKey" or with "pk" attributes, not both.`,
+            index: getIndex(["entities", i, "primaryKey"]),
+          });
+        }
+        if (Array.isArray(entity.primaryKey)) {
+          hasPk = true;
+          pkNames.push(...entity.primaryKey);
+        }
+      }
+      entity.attributes.forEach((attr, j) => {
+        if (attr && attr.nullable === true && pkNames.includes(attr.name)) {
+          errors.push({
+            message: `Primary key attribute "${attr.name}" in "${entity.name}" cannot be nullable.`,
+            index: getIndex(["entities", i, "attributes", j, "nullable"]),
+          });
+        }
+      });
+      if (entity.uniqueKeys !== undefined) {
+        if (!Array.isArray(entity.uniqueKeys)) {
+          errors.push({
+            message: `Entity "${entity.name}" "uniqueKeys" must be an array of attribute name arrays.`,
+            index: getIndex(["entities", i, "uniqueKeys"]),
+          });
+        } else {
+          entity.uniqueKeys.forEach((key, k) =>
+            this._validateAttributeList(
+              key,
+              attributeNames,
+              ["entities", i, "uniqueKeys", k],
+              `Entity "${entity.name}" unique key at index ${k}`,
+              errors,
+              getIndex
+            )
+          );
+        }
+      }
+      if (entity.indexes !== undefined) {
+        if (!Array.isArray(entity.indexes)) {
+          errors.push({
+            message: `Entity "${entity.name}" "indexes" must be an array.`,
+            index: getIndex(["entities", i, "indexes"]),
+          });
+        } else {
+          // Index names are per table, as in MySQL; the SQL export
+          // qualifies them where they share one namespace
+          const indexNames = new Set();
+          entity.indexes.forEach((index, k) => {
+            const path = ["entities", i, "indexes", k];
+            if (typeof index !== "object" || index === null) {
+              errors.push({
+                message: `Index at entity "${entity.name}" index ${k} must be an object.`,
+                index: getIndex(path),
+              });
+              return;
+            }
+            if (typeof index.name !== "string" || !index.name.trim()) {
+              errors.push({
+                message: `Index at entity "${entity.name}" index ${k} must have a non-empty string "name".`,
+                index: getIndex([...path, "name"]),
+              });
+            } else if (indexNames.has(index.name)) {
+              errors.push({
+                message: `Duplicate index name "${index.name}" in entity "${entity.name}".`,
+                index: getIndex([...path, "name"]),
+              });
+            }
+            indexNames.add(index.name);
+            this._validateAttributeList(
+              index.attributes,
+              attributeNames,
+              [...path, "attributes"],
+              `Index "${index.name}" "attributes"`,
+              errors,
+              getIndex
+            );
+            if (
+              index.unique !== undefined &&
+              typeof index.unique !== "boolean"
+            ) {
+              errors.push({
+                message: `Index "${index.name}" "unique" must be a boolean.`,
+                index: getIndex([...path, "unique"]),
+              });
+            }
+          });
+        }
+      }
+
       if (!hasPk && entity.attributes.length > 0) {
         // Only require PK if attributes exist
         errors.push({
-          message: `Entity "${entity.name}" must have at least one primary key (pk: true).`,
+          message: `Entity "${entity.name}" must have a primary key ("pk": true or "primaryKey").`,
           index: getIndex(["entities", i]),
         });
       }
     });
 
+    // Foreign keys may reference entities declared after them
+    const resolved = new Map(); // "entity index/referenced entity" -> attributes
+    references.forEach(({ entity, attr, path: [i, j] }) => {
+      const [fkEntity, fkAttr] = attr.fk.split(".");
+      if (!entityNames.has(fkEntity)) {
+        errors.push({
+          message: `Foreign key entity "${fkEntity}" for "${entity}.${attr.name}" not found.`,
+          index: getIndex(["entities", i, "attributes", j, "fk"]),
+        });
+      } else if (!entityAttributes.get(fkEntity).has(fkAttr)) {
+        errors.push({
+          message: `Foreign key attribute "${fkAttr}" in entity "${fkEntity}" for "${entity}.${attr.name}" not found.`,
+          index: getIndex(["entities", i, "attributes", j, "fk"]),
+        });
+      } else {
+        const group = `${i}/${fkEntity}`;
+        if (!resolved.has(group)) resolved.set(group, []);
+        resolved.get(group).push(attr);
+      }
+    });
+
+    // Attributes referencing a whole composite primary key form one foreign
+    // key, as the renderer groups them. One that is exactly a key of its
+    // entity is unique.
+    const getKeys = (entity) => [
+      Array.isArray(entity.primaryKey)
+        ? entity.primaryKey
+        : entity.attributes
+            .filter((other) => other && other.pk === true)
+            .map((other) => other.name),
+      ...(Array.isArray(entity.uniqueKeys) ? entity.uniqueKeys : []),
+    ];
+    resolved.forEach((attrs, group) => {
+      const i = Number(group.slice(0, group.indexOf("/")));
+      const entity = data.entities[i];
+      const refEntity = attrs[0].fk.split(".")[0];
+      const refPk = getKeys(
+        data.entities.find((other) => other && other.name === refEntity)
+      )[0];
+      const refAttributes = attrs.map((attr) => attr.fk.split(".")[1]);
+      const composite =
+        attrs.length > 1 &&
+        attrs.length === refPk.length &&
+        refPk.every((name) => refAttributes.includes(name));
+      (composite ? [attrs] : attrs.map((attr) => [attr])).forEach((key) => {
+        const names = key.map((attr) => attr.name);
+        foreignKeys.push({
+          entity: entity.name,
+          attributes: names,
+          refEntity,
+          unique:
+            (key.length === 1 && key[0].unique === true) ||
+            getKeys(entity).some(
+              (other) =>
+                Array.isArray(other) &&
+                other.length === names.length &&
+                other.every((name) => names.includes(name))
+            ),
+        });
+      });
+    });
+
+    // Relationships are optional, foreign keys imply them
+    if (data.relationships === undefined) return;
     if (!Array.isArray(data.relationships)) {
       errors.push({
         message: 'ERD "relationships" must be an array.',
@@ -360,6 +1449,7 @@ export const validate = {
     }
 
     const validCardinalities = ["0..1", "1..1", "1..*", "0..*", "*..*"];
+    const validEnds = ["0..1", "1..1", "0..*", "1..*"];
     data.relationships.forEach((rel, i) => {
       if (typeof rel !== "object" || rel === null) {
         errors.push({
@@ -380,8 +1470,20 @@ export const validate = {
           index: getIndex(["relationships", i, "to"]),
         });
       }
+      // Either end may be given on its own; the older "cardinality" field
+      // sets both
       if (
-        typeof rel.cardinality !== "string" ||
+        rel.cardinality === undefined &&
+        rel.fromCardinality === undefined &&
+        rel.toCardinality === undefined
+      ) {
+        errors.push({
+          message: `Relationship at index ${i} must have a "cardinality" or "fromCardinality"/"toCardinality".`,
+          index: getIndex(["relationships", i]),
+        });
+      }
+      if (
+        rel.cardinality !== undefined &&
         !validCardinalities.includes(rel.cardinality)
       ) {
         errors.push({
@@ -391,6 +1493,41 @@ export const validate = {
           index: getIndex(["relationships", i, "cardinality"]),
         });
       }
+      ["fromCardinality", "toCardinality"].forEach((key) => {
+        if (rel[key] !== undefined && !validEnds.includes(rel[key])) {
+          errors.push({
+            message: `Relationship at index ${i} "${key}" must be one of: ${validEnds.join(
+              ", "
+            )}.`,
+            index: getIndex(["relationships", i, key]),
+          });
+        }
+      });
+      if (
+        rel.label !== undefined &&
+        (typeof rel.label !== "string" || !rel.label.trim())
+      ) {
+        errors.push({
+          message: `Relationship at index ${i} "label" must be a non-empty string.`,
+          index: getIndex(["relationships", i, "label"]),
+        });
+      }
+      if (
+        rel.identifying !== undefined &&
+        typeof rel.identifying !== "boolean"
+      ) {
+        errors.push({
+          message: `Relationship at index ${i} "identifying" must be a boolean.`,
+          index: getIndex(["relationships", i, "identifying"]),
+        });
+      }
+      this._validateForeignKeyRelationship(
+        rel,
+        i,
+        foreignKeys,
+        errors,
+        getIndex
+      );
     });
   },
 };
@@ -4,27 +4,60 @@ import {
   createText,
   createPath,
   measureText,
-  wrapText,
+  measureRichLine,
+  wrapRichText,
+  createRichText,
   createCommonDefs,
+  createLinkGroup,
 } from "./svg.js";
+import { resolveStyle, getShapeStyle, getTextStyle } from "./style.js";
+import { layoutLayered } from "./layered.js";
+import { routeOrthogonal, pointsToPathData } from "./routing.js";
 
 const ENTITY_HEADER_HEIGHT = 30;
 const ATTRIBUTE_HEIGHT = 20;
 const ENTITY_PADDING_X = 15;
 const ENTITY_PADDING_Y = 10;
 const ENTITY_MIN_WIDTH = 150;
-const ENTITY_MAX_WIDTH = 300; // Cap width for very long names
+const ENTITY_MAX_WIDTH = 300; // Longer entity names wrap
 const ENTITY_H_GAP = 80;
 const ENTITY_V_GAP = 80;
+const LAYER_GAP = 120; // Between layers of the layered layout, holds the lines
+const LAYER_ENTITY_GAP = 40; // Between entities in a layer
+const LAYER_EDGE_GAP = 30; // Kept around lines passing through a layer
+const CORNER_RADIUS = 6; // Rounding of relationship line bends
 const FONT_SIZE_ENTITY = 16;
 const FONT_SIZE_ATTRIBUTE = 14;
+const FONT_SIZE_DETAIL = 11; // Key badges and nullability of attributes
+const COLUMN_GAP = 10; // Between the columns of the attribute table
+const FONT_SIZE_LABEL = 12; // Relationship labels
+const LABEL_MAX_WIDTH = 160; // Longer relationship labels wrap
+const LABEL_OFFSET = 6; // Distance of a relationship label from its line
+const ANCHOR_STUB = 25; // Straight run of a line leaving an attribute row
 const FONT_FAMILY = "sans-serif"; // Must match CSS
 
+// Marker for each end cardinality
+const CARDINALITY_MARKERS = {
+  "0..1": "zeroOrOne",
+  "1..1": "exactlyOne",
+  "0..*": "zeroOrMany",
+  "1..*": "oneOrMany",
+};
+// End cardinalities [from, to] of the older single "cardinality" field,
+// which described the "to" end and took the "from" end as one
+const LEGACY_CARDINALITIES = {
+  "0..1": ["1..1", "0..1"],
+  "1..1": ["1..1", "1..1"],
+  "1..*": ["1..1", "1..*"],
+  "0..*": ["1..1", "0..*"],
+  "*..*": ["1..*", "1..*"],
+};
+
 export function renderERD(data, svgContainer) {
-  if (!data.entities || !data.relationships) {
+  if (!data.entities) {
     return {
       success: false,
-      error: "Invalid ERD data: missing entities or relationships",
+      error: "Invalid ERD data: missing entities",
     };
   }
 
@@ -34,43 +67,47 @@ export function renderERD(data, svgContainer) {
   const entitiesMap = new Map();
   let maxContentWidth = ENTITY_MIN_WIDTH - ENTITY_PADDING_X * 2; // For calculating min entity width based on content
 
-  // Pre-calculate attribute heights and max widths for entities
+  // Pre-calculate attribute heights and max widths for entities. The name
+  // wraps, the attribute table sets the width.
   data.entities.forEach((entity) => {
-    let currentEntityMaxTextWidth = measureText(
-      entity.name,
-      FONT_SIZE_ENTITY,
-      FONT_FAMILY
-    );
-    entity.attributes.forEach((attr) => {
-      const attrText = `${attr.name}: ${attr.type}`;
-      currentEntityMaxTextWidth = Math.max(
-        currentEntityMaxTextWidth,
-        measureText(attrText, FONT_SIZE_ATTRIBUTE, FONT_FAMILY)
-      );
-    });
-    entity.calculatedWidth = Math.min(
-      ENTITY_MAX_WIDTH,
-      Math.max(
-        ENTITY_MIN_WIDTH,
-        currentEntityMaxTextWidth + ENTITY_PADDING_X * 2
+    const titleWidth = Math.max(
+      ...wrapRichText(entity.name, Infinity, FONT_SIZE_ENTITY, FONT_FAMILY).map(
+        (line) => measureRichLine(line, FONT_SIZE_ENTITY, FONT_FAMILY)
       )
     );
+    const keys = getAttributeKeys(entity);
+    const table = layoutAttributeTable(entity, keys);
+    const currentEntityMaxTextWidth = Math.max(
+      Math.min(titleWidth, ENTITY_MAX_WIDTH - ENTITY_PADDING_X * 2),
+      table.width
+    );
+    entity.calculatedWidth = Math.max(
+      ENTITY_MIN_WIDTH,
+      currentEntityMaxTextWidth + ENTITY_PADDING_X * 2
+    );
     entity.calculatedHeight =
       ENTITY_HEADER_HEIGHT +
       entity.attributes.length * ATTRIBUTE_HEIGHT +
-      ENTITY_PADDING_Y * 2;
-    entitiesMap.set(entity.name, { ...entity, x: 0, y: 0 }); // Initialize positions
+      ENTITY_PADDING_Y;
+    entitiesMap.set(entity.name, {
+      ...entity,
+      x: 0,
+      y: 0,
+      keys,
+      columnOffsets: table.offsets,
+    }); // Initialize positions
     maxContentWidth = Math.max(maxContentWidth, currentEntityMaxTextWidth);
   });
 
-  // Simple grid layout to place entities
-  // This is a basic packing algorithm, not an optimized graph layout
-  const positionedEntities = layoutEntitiesGrid(
-    Array.from(entitiesMap.values())
-  );
+  // Entities go on a simple grid, or in layers by foreign key dependency
+  const relationships = getRelationships(data);
+  const layered = data.layout === "layered";
+  const positionedEntities = layered
+    ? layoutEntitiesLayered(Array.from(entitiesMap.values()), relationships)
+    : layoutEntitiesGrid(Array.from(entitiesMap.values()));
 
-  let maxX = 0;
-  let maxY = 0;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
   const entityRects = new Map(); // Store rect elements for relationship drawing
 
   // Draw entities
@@ -79,6 +116,11 @@ export function renderERD(data, svgContainer) {
     const y = entity.y;
     const width = entity.calculatedWidth;
     const height = entity.calculatedHeight;
+    const style = resolveStyle(entity, data.classes);
+    const entityGroup = createLinkGroup(svgContainer, {
+      link: entity.link,
+      tooltip: entity.tooltip || entity.comment,
+    });
 
     const rect = createSVGElement("rect", {
       x: x,
@@ -88,12 +130,14 @@ export function renderERD(data, svgContainer) {
       rx: 5,
       ry: 5,
       className: "entity-box",
+      ...getShapeStyle(style),
     });
-    svgContainer.appendChild(rect);
-    entityRects.set(entity.name, { x, y, width, height });
+    entityGroup.appendChild(rect);
+    const rows = new Map(); // Attribute name -> y of its row
+    entityRects.set(entity.name, { x, y, width, height, rows });
 
     // Entity name
-    const wrappedEntityName = wrapText(
+    const wrappedEntityName = wrapRichText(
       entity.name,
       width - ENTITY_PADDING_X * 2,
       FONT_SIZE_ENTITY,
@@ -103,9 +147,8 @@ export function renderERD(data, svgContainer) {
       y +
       ENTITY_HEADER_HEIGHT / 2 -
       ((wrappedEntityName.length - 1) * FONT_SIZE_ENTITY * 0.6) / 2;
-    svgContainer.appendChild(
-      createText(
-        entity.name,
+    entityGroup.appendChild(
+      createRichText(
         x + width / 2,
         entityNameTextY,
         {
@@ -114,39 +157,94 @@ export function renderERD(data, svgContainer) {
           "dominant-baseline": "middle",
           "font-size": FONT_SIZE_ENTITY,
           "font-family": FONT_FAMILY,
+          ...getTextStyle(style),
         },
         wrappedEntityName
       )
     );
 
-    // Attributes
-    let currentAttrY = y + ENTITY_HEADER_HEIGHT + ATTRIBUTE_HEIGHT / 2;
+    // Attributes, as a table of key badges, name, type and nullability
+    if (entity.attributes.length > 0) {
+      entityGroup.appendChild(
+        createSVGElement("line", {
+          x1: x,
+          y1: y + ENTITY_HEADER_HEIGHT,
+          x2: x + width,
+          y2: y + ENTITY_HEADER_HEIGHT,
+          className: "entity-divider",
+          ...getShapeStyle({ stroke: style.stroke }),
+        })
+      );
+    }
+    const [keysX, nameX, typeX] = entity.columnOffsets.map(
+      (offset) => x + ENTITY_PADDING_X + offset
+    );
+    const textAttributes = {
+      "dominant-baseline": "middle",
+      "font-family": FONT_FAMILY,
+      ...getTextStyle({ textColor: style.textColor }), // Title only is bold
+    };
+    let currentAttrY =
+      y + ENTITY_HEADER_HEIGHT + ENTITY_PADDING_Y / 2 + ATTRIBUTE_HEIGHT / 2;
     entity.attributes.forEach((attr) => {
+      const keys = entity.keys.get(attr.name);
       let attrClass = "attribute";
-      if (attr.pk) attrClass += " pk";
+      if (keys.includes("PK")) attrClass += " pk";
       if (attr.fk) attrClass += " fk";
-      if (attr.unique) attrClass += " unique";
-
-      const attrText = `${attr.name}: ${attr.type}`;
-      const wrappedAttrText = wrapText(
-        attrText,
-        width - ENTITY_PADDING_X * 2,
-        FONT_SIZE_ATTRIBUTE,
-        FONT_FAMILY
+      if (keys.includes("UQ")) attrClass += " unique";
+
+      rows.set(attr.name, currentAttrY);
+      // Rows with a tooltip take the hover over their whole width
+      const row = createLinkGroup(entityGroup, {
+        tooltip: getAttributeTooltip(attr),
+      });
+      if (row !== entityGroup) {
+        row.appendChild(
+          createSVGElement("rect", {
+            x: x,
+            y: currentAttrY - ATTRIBUTE_HEIGHT / 2,
+            width: width,
+            height: ATTRIBUTE_HEIGHT,
+            className: "attribute-row",
+            fill: "none",
+            "pointer-events": "all",
+          })
+        );
+      }
+      if (keys.length > 0) {
+        row.appendChild(
+          createText(keys.join(" "), keysX, currentAttrY, {
+            className: "attribute-keys",
+            "font-size": FONT_SIZE_DETAIL,
+            ...textAttributes,
+          })
+        );
+      }
+      row.appendChild(
+        createText(attr.name, nameX, currentAttrY, {
+          className: attrClass,
+          "font-size": FONT_SIZE_ATTRIBUTE,
+          ...textAttributes,
+        })
       );
-
-      svgContainer.appendChild(
+      row.appendChild(
+        createText(attr.type, typeX, currentAttrY, {
+          className: "attribute attribute-type",
+          "font-size": FONT_SIZE_ATTRIBUTE,
+          ...textAttributes,
+        })
+      );
+      row.appendChild(
         createText(
-          attrText,
-          x + ENTITY_PADDING_X,
+          attr.nullable ? "NULL" : "NOT NULL",
+          x + width - ENTITY_PADDING_X,
           currentAttrY,
           {
-            className: attrClass,
-            "dominant-baseline": "middle",
-            "font-size": FONT_SIZE_ATTRIBUTE,
-            "font-family": FONT_FAMILY,
-          },
-          wrappedAttrText
+            className: "attribute-nullability",
+            "text-anchor": "end",
+            "font-size": FONT_SIZE_DETAIL,
+            ...textAttributes,
+          }
         )
       );
       currentAttrY += ATTRIBUTE_HEIGHT;
@@ -156,8 +254,11 @@ export function renderERD(data, svgContainer) {
     maxY = Math.max(maxY, y + height);
   });
 
-  // Draw relationships
-  data.relationships.forEach((rel) => {
+  // Draw relationships, with their labels beside the line. Lines and
+  // labels may reach beyond the entities.
+  let minLineX = Infinity;
+  let minLineY = Infinity;
+  relationships.forEach((rel) => {
     const fromEntityRect = entityRects.get(rel.from);
     const toEntityRect = entityRects.get(rel.to);
 
@@ -166,24 +267,74 @@ export function renderERD(data, svgContainer) {
       return;
     }
 
-    // Determine connection points on the rectangles
-    const { start, end } = getClosestConnectionPoints(
-      fromEntityRect,
-      toEntityRect
-    );
+    // Relationships backed by a foreign key join its attribute rows, others
+    // the closest sides of the entities. In the layered layout the others
+    // join the middle of the facing sides, and all lines go around entities.
+    const fromY = fromEntityRect.rows.get(rel.fromAttribute);
+    const toY = toEntityRect.rows.get(rel.toAttribute);
+    let points;
+    if (layered || (fromY !== undefined && toY !== undefined)) {
+      points = getAnchoredPoints(
+        fromEntityRect,
+        fromY ?? fromEntityRect.y + fromEntityRect.height / 2,
+        toEntityRect,
+        toY ?? toEntityRect.y + toEntityRect.height / 2
+      );
+    }
+    if (layered) {
+      const [start, fromStub, toStub, end] = points;
+      points =
+        routeOrthogonal(start, end, Array.from(entityRects.values()), {
+          startDir: { x: Math.sign(fromStub.x - start.x), y: 0 },
+          endDir: { x: Math.sign(end.x - toStub.x), y: 0 },
+        }) || points;
+    } else if (!points) {
+      const { start, end } = getClosestConnectionPoints(
+        fromEntityRect,
+        toEntityRect
+      );
+      points = [start, end];
+    }
 
-    const path = createPath(`M ${start.x},${start.y} L ${end.x},${end.y}`, {
-      className: "relationship-line",
-      "marker-start": getCardinalityMarker(rel.cardinality, "start"),
-      "marker-end": getCardinalityMarker(rel.cardinality, "end"),
+    // Non-identifying relationships are dashed
+    const ends = getRelationshipEnds(rel);
+    const path = createPath(pointsToPathData(points, CORNER_RADIUS), {
+      className:
+        rel.identifying === false
+          ? "relationship-line non-identifying"
+          : "relationship-line",
+      "marker-start": `url(#${CARDINALITY_MARKERS[ends.from]})`,
+      "marker-end": `url(#${CARDINALITY_MARKERS[ends.to]})`,
     });
     svgContainer.appendChild(path);
+    points.forEach((p) => {
+      minLineX = Math.min(minLineX, p.x);
+      minLineY = Math.min(minLineY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    });
+
+    if (rel.label) {
+      // The label goes on the middle segment
+      const label = drawRelationshipLabel(
+        svgContainer,
+        rel.label,
+        points[Math.floor((points.length - 1) / 2)],
+        points[Math.ceil((points.length - 1) / 2)]
+      );
+      minLineX = Math.min(minLineX, label.x);
+      minLineY = Math.min(minLineY, label.y);
+      maxX = Math.max(maxX, label.x + label.width);
+      maxY = Math.max(maxY, label.y + label.height);
+    }
   });
 
   // Calculate final viewBox with padding
   const padding = 50;
-  const minX = Math.min(...positionedEntities.map((e) => e.x)) - padding / 2;
-  const minY = Math.min(...positionedEntities.map((e) => e.y)) - padding / 2;
+  const minX =
+    Math.min(minLineX, ...positionedEntities.map((e) => e.x)) - padding / 2;
+  const minY =
+    Math.min(minLineY, ...positionedEntities.map((e) => e.y)) - padding / 2;
   const finalWidth = maxX - minX + padding;
   const finalHeight = maxY - minY + padding;
   const viewBox = `${minX} ${minY} ${finalWidth} ${finalHeight}`;
@@ -191,6 +342,161 @@ export function renderERD(data, svgContainer) {
   return { success: true, svgElement: svgContainer, viewBox };
 }
 
+/**
+ * Primary key of an entity: its "primaryKey", or else its "pk" attributes.
+ * @param {object} entity - ERD entity.
+ * @returns {string[]} Attribute names.
+ */
+function getPrimaryKey(entity) {
+  return (
+    entity.primaryKey ||
+    entity.attributes.filter((attr) => attr.pk).map((attr) => attr.name)
+  );
+}
+
+/**
+ * Whether attributes are unique together: a single attribute marked
+ * "unique", or exactly the primary key or a unique key.
+ * @param {object} entity - ERD entity.
+ * @param {object[]} attrs - Some of its attributes.
+ * @returns {boolean}
+ */
+function isUniqueKey(entity, attrs) {
+  const names = attrs.map((attr) => attr.name);
+  return (
+    (attrs.length === 1 && attrs[0].unique === true) ||
+    [getPrimaryKey(entity), ...(entity.uniqueKeys || [])].some(
+      (key) =>
+        key.length === names.length && key.every((name) => names.includes(name))
+    )
+  );
+}
+
+/**
+ * Foreign keys of an entity, each as its attributes. Attributes referencing
+ * all primary key attributes of a composite key together form one foreign
+ * key; any other foreign key attribute forms its own.
+ * @param {object} entity - ERD entity.
+ * @param {Map} entitiesByName - All entities by name.
+ * @returns {object[][]}
+ */
+function getForeignKeys(entity, entitiesByName) {
+  const byEntity = new Map(); // Referenced entity -> attributes
+  entity.attributes.forEach((attr) => {
+    if (typeof attr.fk !== "string" || !attr.fk.includes(".")) return;
+    const refEntity = attr.fk.split(".")[0];
+    if (!byEntity.has(refEntity)) byEntity.set(refEntity, []);
+    byEntity.get(refEntity).push(attr);
+  });
+
+  const foreignKeys = [];
+  byEntity.forEach((attrs, refEntity) => {
+    const ref = entitiesByName.get(refEntity);
+    const pk = ref ? getPrimaryKey(ref) : [];
+    const refAttributes = attrs.map((attr) => attr.fk.split(".")[1]);
+    const composite =
+      attrs.length > 1 &&
+      attrs.length === pk.length &&
+      pk.every((name) => refAttributes.includes(name));
+    if (composite) {
+      foreignKeys.push(attrs);
+    } else {
+      attrs.forEach((attr) => foreignKeys.push([attr]));
+    }
+  });
+  return foreignKeys;
+}
+
+/**
+ * Key badges of the attributes of an entity: "PK" for primary key
+ * attributes, "FK" for foreign keys, "UQ" for unique attributes and those
+ * in a composite unique key, and "IX" for indexed attributes.
+ * @param {object} entity - ERD entity.
+ * @returns {Map<string, string[]>} Attribute name -> badges.
+ */
+function getAttributeKeys(entity) {
+  const primaryKey = getPrimaryKey(entity);
+  const uniqueKeys = (entity.uniqueKeys || []).flat();
+  const indexed = (entity.indexes || []).flatMap((index) => index.attributes);
+  const keys = new Map();
+  entity.attributes.forEach((attr) => {
+    const badges = [];
+    if (primaryKey.includes(attr.name)) badges.push("PK");
+    if (attr.fk) badges.push("FK");
+    if (attr.unique || uniqueKeys.includes(attr.name)) badges.push("UQ");
+    if (indexed.includes(attr.name)) badges.push("IX");
+    keys.set(attr.name, badges);
+  });
+  return keys;
+}
+
+/**
+ * Column offsets of the attribute table of an entity, relative to its
+ * content: key badges, name, type and nullability. Columns no attribute
+ * fills take no room.
+ * @param {object} entity - ERD entity.
+ * @param {Map<string, string[]>} keys - From getAttributeKeys.
+ * @returns {{offsets: number[], width: number}} Offsets of the four
+ *   columns and the width of the table.
+ */
+function layoutAttributeTable(entity, keys) {
+  const widths = [0, 0, 0, 0];
+  entity.attributes.forEach((attr) => {
+    widths[0] = Math.max(
+      widths[0],
+      measureText(
+        keys.get(attr.name).join(" "),
+        FONT_SIZE_DETAIL,
+        FONT_FAMILY,
+        "bold"
+      )
+    );
+    widths[1] = Math.max(
+      widths[1],
+      measureText(
+        attr.name,
+        FONT_SIZE_ATTRIBUTE,
+        FONT_FAMILY,
+        undefined,
+        attr.fk ? "italic" : undefined
+      )
+    );
+    widths[2] = Math.max(
+      widths[2],
+      measureText(attr.type, FONT_SIZE_ATTRIBUTE, FONT_FAMILY)
+    );
+    widths[3] = Math.max(
+      widths[3],
+      measureText(
+        attr.nullable ? "NULL" : "NOT NULL",
+        FONT_SIZE_DETAIL,
+        FONT_FAMILY
+      )
+    );
+  });
+
+  const offsets = [];
+  let offset = 0;
+  widths.forEach((width) => {
+    offsets.push(offset);
+    if (width > 0) offset += width + COLUMN_GAP;
+  });
+  return { offsets, width: Math.max(0, offset - COLUMN_GAP) };
+}
+
+/**
+ * Tooltip of an attribute row: its comment, default and enum values.
+ * @param {object} attr - ERD attribute.
+ * @returns {string|undefined} Undefined when there is nothing to show.
+ */
+function getAttributeTooltip(attr) {
+  const lines = [];
+  if (attr.comment) lines.push(attr.comment);
+  if (attr.default !== undefined) lines.push(`Default: ${attr.default}`);
+  if (attr.enum) lines.push(`Values: ${attr.enum.join(", ")}`);
+  return lines.length > 0 ? lines.join("\n") : undefined;
+}
+
 /**
  * Basic grid layout for entities. Iterates and places entities row by row.
  * Does not optimize for edge crossings.
@@ -232,6 +538,47 @@ function layoutEntitiesGrid(entities) {
   return placedEntities;
 }
 
+/**
+ * Layered layout for entities. Relationships point from the referenced
+ * entity to the one holding the foreign key, so referenced entities come
+ * first, from left to right, and related entities end up in neighbouring
+ * layers. Entities of a layer are stacked in the order that crosses the
+ * fewest lines.
+ * @param {Array} entities
+ * @param {Array} relationships - From getRelationships.
+ * @returns {Array} Entities with assigned x, y coordinates.
+ */
+function layoutEntitiesLayered(entities, relationships) {
+  const names = new Set(entities.map((entity) => entity.name));
+  const layout = layoutLayered(
+    entities.map((entity) => ({
+      id: entity.name,
+      mainSize: entity.calculatedWidth,
+      crossSize: entity.calculatedHeight,
+    })),
+    relationships
+      .filter(
+        (rel) => rel.from !== rel.to && names.has(rel.from) && names.has(rel.to)
+      )
+      .map((rel) =>
+        rel.referenced === "to"
+          ? { from: rel.to, to: rel.from }
+          : { from: rel.from, to: rel.to }
+      ),
+    {
+      layerGap: LAYER_GAP,
+      nodeGap: LAYER_ENTITY_GAP,
+      edgeGap: LAYER_EDGE_GAP,
+    }
+  );
+  entities.forEach((entity) => {
+    const placement = layout.nodes.get(entity.name);
+    entity.x = placement.main;
+    entity.y = placement.cross - entity.calculatedHeight / 2;
+  });
+  return entities;
+}
+
 /**
  * Determines the closest points on the borders of two rectangles for a connecting line.
  * @param {object} rect1 - {x, y, width, height}
@@ -305,86 +652,189 @@ function getClosestConnectionPoints(rect1, rect2) {
 }
 
 /**
- * Returns the correct SVG marker URL based on cardinality and position.
- * @param {string} cardinality - e.g., "1..*", "0..1"
- * @param {'start'|'end'} position - Whether it's the start or end of the line.
- * @returns {string} Marker URL or empty string.
+ * Relationships to draw: the listed ones, plus one for each foreign key that
+ * no listed relationship between the same two entities accounts for. Those
+ * run from the foreign key to the attribute it references, or from the
+ * first attribute of a composite one. Relationships backed by a foreign key
+ * get the attribute names of their ends as "fromAttribute" and
+ * "toAttribute", and in "referenced" the end ("from" or "to") that the
+ * foreign key references.
+ * @param {object} data - ERD data.
+ * @returns {object[]} Relationships.
  */
-function getCardinalityMarker(cardinality, position) {
-  let markerId = "";
-  const parts = cardinality.split("..");
-  const firstChar = parts[0];
-  const secondChar = parts[1];
-
-  // For relationships, the marker applies to the "many" side, or "one" side.
-  // If it's a "1..*" relationship, the "*" part is on the `to` side (end marker if from->to).
-  // The "1" part is on the `from` side (start marker).
-  // The `position` parameter here refers to the line segment start/end.
-  // For example, if rel.cardinality is "1..*", and this function is called for the 'end' position,
-  // it implies the 'to' entity, which should show the '*' marker.
-
-  // ERD cardinality notation usually refers to (min..max) on the *far* side of the relationship.
-  // So for "A (1) --- (0..*) B", the "1" applies to A's relationship to B, and "0..*" applies to B's relationship to A.
-  // In our JSON, `cardinality` is for the `to` entity.
-  // So 'start' marker is for the `from` entity's side, and 'end' marker for the `to` entity's side.
-
-  // Let's assume cardinality means "From [this] To [cardinality]"
-  // E.g., User (1) to Order (*). So from User to Order has a 'many' on the Order side.
-  // The spec uses `cardinality` for the `to` side. The `from` side is assumed '1'.
-
-  // Given `cardinality`: "from" side will be 'one' (single line) unless "from" is '0' or 'many'.
-  // The prompt says: "relationships: ... cardinality: "1..*""
-  // This implies `cardinality` is for `to`. So `from` side is single line by default.
-  // However, the rule "cardinality": "1..*" means `from` has 1, `to` has *.
-  // But then "*..*" means crow's foot both sides. This indicates `cardinality` implies both ends.
-
-  // Re-interpreting: `cardinality` describes the relationship type, and both ends get a marker.
-  // Let's assume the string format "X..Y" means 'X' is the marker for the `from` side, and 'Y' is for the `to` side.
-  // The prompt's example `"cardinality": "1..*"` for `relationships` implies it's a single value for the relationship.
-  // This is ambiguous. Most ERD tools specify cardinality for *each* end of the relationship.
-  // Given the simplicity requirement, I'll interpret `cardinality` as the *type* of relationship, and map that to specific end markers.
-
-  // Re-interpreting based on the rules:
-  // "0..1" = small circle + single line (on *one* end, which one?)
-  // "1..1" = single line (on *one* end)
-  // "1..*" = crow’s foot (on *one* end)
-  // "0..*" = small circle + crow’s foot (on *one* end)
-  // "*..*" = crow’s foot both sides.
-
-  // This strongly suggests `cardinality` is about the *target* (to) entity's relationship,
-  // and the `from` entity implicitly has '1' unless it's "*..*".
-
-  // Let's map `cardinality` to the marker on the `end` (to) side, and default 'one' for `start` (from) side.
-  // The only exception is "*..*", where both sides are crow's foot.
-
-  if (position === "start") {
-    // Marker for the 'from' entity side
-    if (cardinality === "*..*") {
-      markerId = "url(#oneToMany)"; // Assumed crow's foot
-    } else {
-      markerId = "url(#one)"; // Default 1
-    }
-  } else {
-    // Marker for the 'end' (to) entity side
-    switch (cardinality) {
-      case "0..1":
-        markerId = "url(#zeroOrOne)";
-        break;
-      case "1..1":
-        markerId = "url(#one)";
-        break;
-      case "1..*":
-        markerId = "url(#oneToMany)"; // For *
-        break;
-      case "0..*":
-        markerId = "url(#zeroOrMany)";
-        break;
-      case "*..*":
-        markerId = "url(#oneToMany)"; // For *
-        break;
-      default:
-        markerId = "url(#one)"; // Fallback
-    }
+function getRelationships(data) {
+  const entitiesByName = new Map(
+    data.entities.map((entity) => [entity.name, entity])
+  );
+  const foreignKeys = [];
+  data.entities.forEach((entity) => {
+    const primaryKey = getPrimaryKey(entity);
+    getForeignKeys(entity, entitiesByName).forEach((attrs) => {
+      const [refEntity, refAttribute] = attrs[0].fk.split(".");
+      foreignKeys.push({
+        entity: entity.name,
+        attr: attrs[0],
+        refEntity,
+        refAttribute,
+        pk: attrs.some((attr) => primaryKey.includes(attr.name)),
+        unique: isUniqueKey(entity, attrs),
+        nullable: attrs.some((attr) => attr.nullable === true),
+      });
+    });
+  });
+
+  const relationships = (data.relationships || []).map((rel) => {
+    const match = takeForeignKey(rel, foreignKeys);
+    if (!match) return rel;
+    const { fk, referenced } = match;
+    return referenced === "from"
+      ? {
+          ...rel,
+          fromAttribute: fk.refAttribute,
+          toAttribute: fk.attr.name,
+          referenced: "from",
+        }
+      : {
+          ...rel,
+          fromAttribute: fk.attr.name,
+          toAttribute: fk.refAttribute,
+          referenced: "to",
+        };
+  });
+
+  // Many rows may reference the same row unless the foreign key is unique,
+  // and nullable foreign keys may reference none. Foreign keys in the
+  // primary key make the relationship identifying.
+  foreignKeys.forEach((fk) => {
+    relationships.push({
+      from: fk.entity,
+      to: fk.refEntity,
+      fromCardinality: fk.unique ? "0..1" : "0..*",
+      toCardinality: fk.nullable ? "0..1" : "1..1",
+      identifying: fk.pk,
+      fromAttribute: fk.attr.name,
+      toAttribute: fk.refAttribute,
+      referenced: "to",
+    });
+  });
+  return relationships;
+}
+
+/**
+ * Takes the first foreign key between the two entities of a relationship
+ * out of the list and tells which end of the relationship it references.
+ * A relationship may run from the referenced entity or from the foreign
+ * key, except one from an entity to itself, which always runs from the
+ * foreign key. Shared with the validator so both pair them alike.
+ * @param {object} rel - Relationship with "from" and "to" entity names.
+ * @param {Array<{entity: string, refEntity: string}>} foreignKeys - Foreign
+ *   keys not yet taken, updated in place.
+ * @returns {{fk: object, referenced: "from" | "to"} | null}
+ */
+export function takeForeignKey(rel, foreignKeys) {
+  const index = foreignKeys.findIndex(
+    (fk) =>
+      (fk.refEntity === rel.from && fk.entity === rel.to) ||
+      (fk.entity === rel.from && fk.refEntity === rel.to)
+  );
+  if (index < 0) return null;
+  const [fk] = foreignKeys.splice(index, 1);
+  const referenced =
+    fk.refEntity === rel.from && fk.entity !== rel.from ? "from" : "to";
+  return { fk, referenced };
+}
+
+/**
+ * Points of a line between two heights on two entities, such as attribute
+ * rows. It leaves and enters horizontally, on the sides facing each other,
+ * or on the right of both when the entities are above each other.
+ * @param {object} fromRect - {x, y, width, height} of the first entity.
+ * @param {number} fromY - Height to leave the first entity at.
+ * @param {object} toRect - The same for the second entity.
+ * @param {number} toY - Height to enter the second entity at.
+ * @returns {{x: number, y: number}[]} Start, ends of the stubs, end.
+ */
+function getAnchoredPoints(fromRect, fromY, toRect, toY) {
+  let fromSide = 1;
+  let toSide = 1;
+  if (toRect.x >= fromRect.x + fromRect.width) {
+    toSide = -1;
+  } else if (fromRect.x >= toRect.x + toRect.width) {
+    fromSide = -1;
   }
-  return markerId;
+  const start = {
+    x: fromSide > 0 ? fromRect.x + fromRect.width : fromRect.x,
+    y: fromY,
+  };
+  const end = {
+    x: toSide > 0 ? toRect.x + toRect.width : toRect.x,
+    y: toY,
+  };
+  return [
+    start,
+    { x: start.x + fromSide * ANCHOR_STUB, y: start.y },
+    { x: end.x + toSide * ANCHOR_STUB, y: end.y },
+    end,
+  ];
+}
+
+/**
+ * Cardinalities of both ends of a relationship. "fromCardinality" and
+ * "toCardinality" take precedence over the older "cardinality" field; ends
+ * given by neither are "1..1".
+ * @param {object} rel - ERD relationship.
+ * @returns {{from: string, to: string}} Each one of "0..1", "1..1", "0..*"
+ *   or "1..*".
+ */
+function getRelationshipEnds(rel) {
+  const [from, to] = LEGACY_CARDINALITIES[rel.cardinality] || ["1..1", "1..1"];
+  return {
+    from: rel.fromCardinality || from,
+    to: rel.toCardinality || to,
+  };
+}
+
+/**
+ * Draws a relationship label at the middle of its line: above horizontal
+ * lines and to the right of others.
+ * @param {SVGElement} svgContainer
+ * @param {string} text - Label text, may use rich text.
+ * @param {{x: number, y: number}} start - Start of the line.
+ * @param {{x: number, y: number}} end - End of the line.
+ * @returns {{x: number, y: number, width: number, height: number}} Box of
+ *   the label.
+ */
+function drawRelationshipLabel(svgContainer, text, start, end) {
+  const lines = wrapRichText(
+    text,
+    LABEL_MAX_WIDTH,
+    FONT_SIZE_LABEL,
+    FONT_FAMILY
+  );
+  const lineHeight = FONT_SIZE_LABEL * 1.2;
+  const width = Math.max(
+    ...lines.map((line) => measureRichLine(line, FONT_SIZE_LABEL, FONT_FAMILY))
+  );
+  const height = lines.length * lineHeight;
+  const midX = (start.x + end.x) / 2;
+  const midY = (start.y + end.y) / 2;
+  const horizontal = Math.abs(end.x - start.x) > Math.abs(end.y - start.y);
+  const box = horizontal
+    ? { x: midX - width / 2, y: midY - LABEL_OFFSET - height, width, height }
+    : { x: midX + LABEL_OFFSET, y: midY - height / 2, width, height };
+
+  svgContainer.appendChild(
+    createRichText(
+      box.x,
+      box.y,
+      {
+        className: "relationship-label",
+        "dominant-baseline": "hanging",
+        "font-size": FONT_SIZE_LABEL,
+        "font-family": FONT_FAMILY,
+      },
+      lines
+    )
+  );
+  return box;
 }
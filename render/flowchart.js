@@ -1,22 +1,59 @@
 // render/flowchart.js
 import {
   createSVGElement,
-  createText,
   createPath,
-  measureText,
-  wrapText,
+  measureRichLine,
+  wrapRichText,
+  createRichText,
   createCommonDefs,
+  createLinkGroup,
+  getColoredMarker,
 } from "./svg.js";
+import { resolveStyle, getShapeStyle, getTextStyle } from "./style.js";
+import {
+  createShape,
+  getShapeOutline,
+  getShapeTextBox,
+  getOutlinePoint,
+} from "./shapes.js";
+import { layoutLayered } from "./layered.js";
+import {
+  routeOrthogonal,
+  assignTracks,
+  pathHitsBoxes,
+  pointsToPathData,
+} from "./routing.js";
 
-const NODE_WIDTH = 180;
-const NODE_HEIGHT = 80;
-const H_GAP = 80; // Horizontal gap between nodes in the same layer
-const V_GAP = 100; // Vertical gap between layers
+const NODE_MIN_WIDTH = 100;
+const NODE_MAX_WIDTH = 240; // Labels wrap to stay within this width
+const NODE_MIN_HEIGHT = 50;
+const LINE_HEIGHT = 1.2; // In em, must match createText
+const NODE_GAP = 80; // Gap between nodes in the same layer
+const EDGE_GAP = 30; // Gap kept around edges passing between nodes of a layer
+const LAYER_GAP = 100; // Gap between consecutive layers
+const EDGE_LABEL_MARGIN = 8; // Clearance around edge labels in LR/RL layouts
+const BACK_EDGE_MARGIN = 40; // Distance from the graph to the first loop-back lane
+const BACK_EDGE_LANE_GAP = 20; // Distance between parallel loop-back lanes
+const SELF_LOOP_SIZE = 30; // How far a self-loop bulges out of its node
+const PORT_SPACING = 20; // Distance between edges attached to the same side
+const PORT_SPREAD = 0.5; // Share of a node side that ports may spread over
+const CORNER_RADIUS = 8; // Rounding of edge bends
+const GROUP_PADDING = 24; // Space inside a group frame, fits the group label
+const GROUP_LABEL_INSET = 8; // Distance of the group label from the frame corner
 const TEXT_PADDING_X = 15;
 const TEXT_PADDING_Y = 10;
 const FONT_SIZE = 16;
+const LABEL_FONT_SIZE = FONT_SIZE * 0.8; // Edge and group labels
 const FONT_FAMILY = "sans-serif"; // Must match CSS
 
+// Marker IDs from createCommonDefs for each edge "arrowhead" type
+const ARROWHEAD_MARKERS = {
+  arrow: "arrowhead",
+  open: "openArrowhead",
+  circle: "circleHead",
+  cross: "crossHead",
+};
+
 export function renderFlowchart(data, svgContainer) {
   if (!data.nodes || !data.edges) {
     return {
@@ -29,17 +66,74 @@ export function renderFlowchart(data, svgContainer) {
   createCommonDefs(svgContainer); // Add SVG markers
 
   const nodesMap = new Map(
-    data.nodes.map((node) => [
-      node.id,
-      { ...node, x: 0, y: 0, width: NODE_WIDTH, height: NODE_HEIGHT },
-    ])
+    data.nodes.map((node) => {
+      const style = resolveStyle(node, data.classes);
+      return [
+        node.id,
+        { ...node, x: 0, y: 0, style, ...getNodeSize(node, style) },
+      ];
+    })
+  );
+  const direction = normalizeDirection(data.direction);
+  const horizontal = isHorizontal(direction);
+  const layerGap = horizontal ? getHorizontalLayerGap(data.edges) : LAYER_GAP;
+
+  const layout = layoutLayered(
+    Array.from(nodesMap.values()).map((node) => ({
+      id: node.id,
+      mainSize: horizontal ? node.width : node.height,
+      crossSize: horizontal ? node.height : node.width,
+    })),
+    data.edges,
+    {
+      layerGap,
+      nodeGap: NODE_GAP,
+      edgeGap: EDGE_GAP,
+      groups: data.groups || [],
+      groupPadding: GROUP_PADDING,
+    }
   );
-  const graph = buildGraph(data.nodes, data.edges, nodesMap);
-  const layers = assignLayers(graph, nodesMap);
-  const positionedNodes = positionNodes(layers, nodesMap);
+  const positionedNodes = positionNodes(layout, nodesMap, direction);
+  const groupsMap = positionGroups(layout, data.groups || [], direction);
+  const axes = getAxes(direction);
 
-  let maxX = 0;
-  let maxY = 0;
+  const bounds = {
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+  };
+
+  // Draw group frames behind the nodes, outermost first
+  Array.from(groupsMap.values())
+    .sort((a, b) => a.depth - b.depth)
+    .forEach((group) => {
+      svgContainer.appendChild(
+        createSVGElement("rect", {
+          x: group.x,
+          y: group.y,
+          width: group.width,
+          height: group.height,
+          rx: 8,
+          ry: 8,
+          className: "group",
+        })
+      );
+      svgContainer.appendChild(
+        createLabel(
+          group.label,
+          group.x + GROUP_LABEL_INSET,
+          group.y + GROUP_LABEL_INSET / 2,
+          {
+            className: "group-label",
+            "dominant-baseline": "hanging",
+            "font-family": FONT_FAMILY,
+          }
+        )
+      );
+      extendBounds(bounds, group.x, group.y);
+      extendBounds(bounds, group.x + group.width, group.y + group.height);
+    });
 
   const nodeElements = new Map();
 
@@ -47,209 +141,892 @@ export function renderFlowchart(data, svgContainer) {
   positionedNodes.forEach((node) => {
     const x = node.x;
     const y = node.y;
+    const parent = createLinkGroup(svgContainer, node);
 
-    const rect = createSVGElement("rect", {
-      x: x,
-      y: y,
-      width: node.width,
-      height: node.height,
-      rx: 5, // Rounded corners
-      ry: 5,
+    const shapeEl = createShape(node.shape, x, y, node.width, node.height, {
       className: "node",
+      ...getShapeStyle(node.style),
     });
-    svgContainer.appendChild(rect);
+    parent.appendChild(shapeEl);
 
-    const wrappedLines = wrapText(
-      node.label,
-      NODE_WIDTH - TEXT_PADDING_X * 2,
-      FONT_SIZE,
-      FONT_FAMILY
-    );
+    const textBox = getShapeTextBox(node.shape, node.width, node.height);
+    const wrappedLines = node.lines;
     const textY =
-      y + node.height / 2 - ((wrappedLines.length - 1) * FONT_SIZE * 0.6) / 2; // Center text vertically
-    const textEl = createText(
-      node.label,
-      x + node.width / 2,
+      y +
+      textBox.y +
+      textBox.height / 2 -
+      ((wrappedLines.length - 1) * FONT_SIZE * LINE_HEIGHT) / 2; // Center text vertically
+    const textEl = createRichText(
+      x + textBox.x + textBox.width / 2,
       textY,
       {
         "text-anchor": "middle",
         "dominant-baseline": "middle",
         "font-size": FONT_SIZE,
         "font-family": FONT_FAMILY,
+        ...getTextStyle(node.style),
       },
       wrappedLines
     );
-    svgContainer.appendChild(textEl);
+    parent.appendChild(textEl);
     nodeElements.set(node.id, {
-      rect,
+      shapeEl,
       textEl,
       bbox: { x, y, width: node.width, height: node.height },
     });
 
-    maxX = Math.max(maxX, x + node.width);
-    maxY = Math.max(maxY, y + node.height);
+    extendBounds(bounds, x, y);
+    extendBounds(bounds, x + node.width, y + node.height);
   });
 
-  // Draw edges
-  data.edges.forEach((edge) => {
-    const fromNode = positionedNodes.find((n) => n.id === edge.from);
-    const toNode = positionedNodes.find((n) => n.id === edge.to);
+  // Points where long edges pass through intermediate layers
+  const edgeWaypoints = new Map();
+  layout.edgeWaypoints.forEach((waypoints, i) => {
+    edgeWaypoints.set(
+      i,
+      waypoints.map((wp) => ({
+        layer: wp.layer,
+        cross: wp.cross,
+        layerStart: axes.toScreenMain(wp.layerStart),
+        layerEnd: axes.toScreenMain(wp.layerEnd),
+      }))
+    );
+    edgeWaypoints.get(i).forEach((wp) => {
+      const p = axes.point(wp.layerStart, wp.cross);
+      extendBounds(bounds, p.x, p.y);
+    });
+  });
+
+  // Loop-back lanes run outside the nodes on the cross-axis side
+  let nextBackEdgeLane =
+    (horizontal ? bounds.maxY : bounds.maxX) + BACK_EDGE_MARGIN;
+  let backEdgeCount = 0;
+
+  // Sort edges by how they are routed
+  const edgeRoutes = [];
+  data.edges.forEach((edge, i) => {
+    // Edges to or from a group attach to its frame
+    const fromNode = nodesMap.get(edge.from) || groupsMap.get(edge.from);
+    const toNode = nodesMap.get(edge.to) || groupsMap.get(edge.to);
 
     if (!fromNode || !toNode) {
       console.warn(`Missing node for edge: ${edge.from} -> ${edge.to}`);
       return;
     }
 
-    // Simple straight line routing for now
-    // Determine attachment points for cleaner lines (e.g., from bottom/top, or side/side)
-    let x1 = fromNode.x + fromNode.width / 2;
-    let y1 = fromNode.y + fromNode.height; // From bottom of source node
+    const route = { edge, fromNode, toNode };
+    if (edge.from === edge.to) {
+      route.kind = "self";
+    } else if (layout.backEdges.has(i)) {
+      route.kind = "back";
+      route.lane = nextBackEdgeLane;
+      route.laneIndex = backEdgeCount++;
+      // Leave room for this lane's label before the next lane
+      nextBackEdgeLane += BACK_EDGE_LANE_GAP;
+      if (edge.label) {
+        nextBackEdgeLane += horizontal
+          ? getLabelLines(edge.label).length * FONT_SIZE
+          : getLabelWidth(edge.label) + EDGE_LABEL_MARGIN;
+      }
+    } else {
+      route.kind = "forward";
+      route.waypoints = edgeWaypoints.get(i) || [];
+    }
+    edgeRoutes.push(route);
+  });
+
+  assignPorts(edgeRoutes, direction);
+  assignBends(edgeRoutes, direction);
 
-    let x2 = toNode.x + toNode.width / 2;
-    let y2 = toNode.y; // To top of target node
+  // Draw edges
+  const nodeBoxes = positionedNodes.map((node) => ({
+    id: node.id,
+    x: node.x,
+    y: node.y,
+    width: node.width,
+    height: node.height,
+  }));
+  edgeRoutes.forEach((route) => {
+    if (route.kind === "self") {
+      Object.assign(route, routeSelfLoop(route.fromNode, direction));
+    } else {
+      Object.assign(
+        route,
+        route.kind === "back"
+          ? routeBackEdge(route.start, route.end, direction, route.lane)
+          : routeForwardEdge(
+              route.start,
+              route.end,
+              route.waypoints,
+              route.bends,
+              direction
+            )
+      );
+      // Layer gaps keep routes clear of nodes; go around any node in the way
+      const others = nodeBoxes.filter(
+        (box) => box.id !== route.fromNode.id && box.id !== route.toNode.id
+      );
+      if (pathHitsBoxes(route.points, others)) {
+        const points = routeOrthogonal(route.start, route.end, nodeBoxes, {
+          startDir: getSegmentDirection(route.points[0], route.points[1]),
+          endDir: getSegmentDirection(
+            route.points[route.points.length - 2],
+            route.points[route.points.length - 1]
+          ),
+        });
+        if (points) {
+          route.points = points;
+          route.pathData = pointsToPathData(points, CORNER_RADIUS);
+          route.label = null;
+        }
+      }
+    }
+    route.points.forEach((p) => extendBounds(bounds, p.x, p.y));
 
-    // Adjust for "LR" or "RL" direction if implemented, but TD/TB is common default
-    // For now, assume vertical flow
-    const pathData = `M ${x1},${y1} L ${x1},${y1 + V_GAP / 2} L ${x2},${
-      y1 + V_GAP / 2
-    } L ${x2},${y2}`;
+    // Edges are never filled, and colored edges need matching arrowheads
+    const style = resolveStyle(route.edge, data.classes);
+    route.style = style;
+    const edgePath = createPath(route.pathData, {
+      className: getEdgeClassName(route.edge),
+      ...getEdgeMarkers(route.edge, style.stroke, svgContainer),
+      ...getShapeStyle({
+        stroke: style.stroke,
+        strokeWidth: style.strokeWidth,
+      }),
+    });
+    createLinkGroup(svgContainer, route.edge).appendChild(edgePath);
+  });
 
-    const edgePath = createPath(pathData, {
-      className: "edge",
-      "marker-end": "url(#arrowhead)",
+  // Draw edge labels on top of all edges, away from nodes and each other
+  const takenBoxes = [
+    ...nodeBoxes,
+    ...Array.from(groupsMap.values()).map((group) =>
+      getLabelBox(
+        group.label,
+        group.x + GROUP_LABEL_INSET,
+        group.y + GROUP_LABEL_INSET / 2,
+        {
+          "text-anchor": "start",
+          "dominant-baseline": "hanging",
+        }
+      )
+    ),
+  ];
+  edgeRoutes.forEach((route) => {
+    if (!route.edge.label) return;
+    const { x, y, attributes, box } = placeEdgeLabel(route, takenBoxes);
+    const labelEl = createLabel(route.edge.label, x, y, {
+      className: "edge-label",
+      ...attributes,
+      ...getTextStyle(route.style),
     });
-    svgContainer.appendChild(edgePath);
-
-    if (edge.label) {
-      const labelX = (x1 + x2) / 2;
-      const labelY = y1 + V_GAP / 2 + 5; // Slightly below the horizontal segment of the edge
-      const labelEl = createText(edge.label, labelX, labelY, {
-        className: "edge-label",
-        "font-size": FONT_SIZE * 0.8,
-        "text-anchor": "middle",
-        "dominant-baseline": "hanging",
-      });
-      svgContainer.appendChild(labelEl);
-    }
+    createLinkGroup(svgContainer, route.edge).appendChild(labelEl);
+    takenBoxes.push(box);
+    extendBounds(bounds, box.x, box.y);
+    extendBounds(bounds, box.x + box.width, box.y + box.height);
   });
 
   // Add some padding to the overall SVG viewbox
   const padding = 50;
-  const finalWidth = maxX + padding;
-  const finalHeight = maxY + padding;
-  const initialX = Math.min(...positionedNodes.map((n) => n.x)) - padding / 2;
-  const initialY = Math.min(...positionedNodes.map((n) => n.y)) - padding / 2;
-  const viewBox = `${initialX} ${initialY} ${
-    finalWidth - initialX + padding / 2
-  } ${finalHeight - initialY + padding / 2}`;
+  const viewBox = `${bounds.minX - padding / 2} ${bounds.minY - padding / 2} ${
+    bounds.maxX - bounds.minX + padding
+  } ${bounds.maxY - bounds.minY + padding}`;
 
   return { success: true, svgElement: svgContainer, viewBox };
 }
 
 /**
- * Builds an adjacency list graph representation.
- * @param {Array} nodes
+ * Sizes a node to fit its label. The label wraps at the text width the shape
+ * offers at NODE_MAX_WIDTH, then the box grows until the shape's text area
+ * holds the wrapped lines. Shapes lose different parts of their box to the
+ * outline, so the box is rescaled a few times rather than solved exactly.
+ * @param {object} node - Flowchart node {label, shape}.
+ * @param {object} style - Resolved node style, bold text takes more room.
+ * @returns {{width: number, height: number, lines: Array<object[]>}}
+ */
+function getNodeSize(node, style) {
+  const maxTextWidth =
+    getShapeTextBox(node.shape, NODE_MAX_WIDTH, NODE_MIN_HEIGHT).width -
+    TEXT_PADDING_X * 2;
+  const lines = wrapRichText(
+    node.label,
+    maxTextWidth,
+    FONT_SIZE,
+    FONT_FAMILY,
+    style.fontWeight
+  );
+  const textWidth =
+    Math.max(
+      ...lines.map((line) =>
+        measureRichLine(line, FONT_SIZE, FONT_FAMILY, style.fontWeight)
+      )
+    ) +
+    TEXT_PADDING_X * 2;
+  const textHeight =
+    lines.length * FONT_SIZE * LINE_HEIGHT + TEXT_PADDING_Y * 2;
+
+  let width = Math.max(NODE_MIN_WIDTH, textWidth);
+  let height = Math.max(NODE_MIN_HEIGHT, textHeight);
+  for (let i = 0; i < 4; i++) {
+    if (node.shape === "circle") {
+      width = height = Math.max(width, height);
+    }
+    const textBox = getShapeTextBox(node.shape, width, height);
+    if (textBox.width >= textWidth && textBox.height >= textHeight) break;
+    if (textBox.width < textWidth) width *= textWidth / textBox.width;
+    if (textBox.height < textHeight) height *= textHeight / textBox.height;
+  }
+  return { width: Math.ceil(width), height: Math.ceil(height), lines };
+}
+
+/**
+ * CSS classes of an edge path; a line style name in "line" adds a modifier
+ * class.
+ * @param {object} edge
+ * @returns {string}
+ */
+function getEdgeClassName(edge) {
+  return edge.line && edge.line !== "solid" ? `edge ${edge.line}` : "edge";
+}
+
+/**
+ * Marker attributes for an edge from its "arrow" (which ends get a marker,
+ * "end" by default) and "arrowhead" (marker type, "arrow" by default).
+ * @param {object} edge
+ * @param {string} [color] - Stroke color override, the marker follows it.
+ * @param {SVGElement} svgRoot - Root holding the marker defs.
+ * @returns {object} marker-start/marker-end attributes.
+ */
+function getEdgeMarkers(edge, color, svgRoot) {
+  const markerId = ARROWHEAD_MARKERS[edge.arrowhead] || ARROWHEAD_MARKERS.arrow;
+  const marker = `url(#${
+    color ? getColoredMarker(svgRoot, markerId, color) : markerId
+  })`;
+  const arrow = edge.arrow || "end";
+  const markers = {};
+  if (arrow === "start" || arrow === "both") markers["marker-start"] = marker;
+  if (arrow === "end" || arrow === "both") markers["marker-end"] = marker;
+  return markers;
+}
+
+/**
+ * Normalizes the flowchart "direction" field. TD is an alias of TB.
+ * @param {string} [direction]
+ * @returns {'TB'|'BT'|'LR'|'RL'}
+ */
+function normalizeDirection(direction) {
+  const dir = typeof direction === "string" ? direction.toUpperCase() : "TB";
+  if (dir === "BT" || dir === "LR" || dir === "RL") return dir;
+  return "TB";
+}
+
+/**
+ * @param {string} direction - A normalized direction.
+ * @returns {boolean} True when layers advance along the x axis.
+ */
+function isHorizontal(direction) {
+  return direction === "LR" || direction === "RL";
+}
+
+/**
+ * In LR/RL layouts edge labels sit in the half of the layer gap between the
+ * bend and the target node. Widen the gap so the longest label fits there.
  * @param {Array} edges
+ * @returns {number} The gap between layers.
+ */
+function getHorizontalLayerGap(edges) {
+  const widestLabel = Math.max(
+    0,
+    ...edges
+      .filter((edge) => edge.label)
+      .map((edge) => getLabelWidth(edge.label))
+  );
+  return Math.max(LAYER_GAP, 2 * (widestLabel + EDGE_LABEL_MARGIN * 2));
+}
+
+/**
+ * Maps the abstract layered layout onto screen coordinates. Layers advance
+ * along the flow direction and nodes are centered on their cross position.
+ * @param {object} layout - Result from layoutLayered.
  * @param {Map} nodesMap
- * @returns {object} { adj: Map, inDegree: Map }
+ * @param {string} direction - A normalized direction.
+ * @returns {Array} Array of node objects with x, y coordinates.
  */
-function buildGraph(nodes, edges, nodesMap) {
-  const adj = new Map(nodes.map((node) => [node.id, []]));
-  const inDegree = new Map(nodes.map((node) => [node.id, 0]));
+function positionNodes(layout, nodesMap, direction) {
+  const horizontal = isHorizontal(direction);
+  const axes = getAxes(direction);
+  const positionedNodes = [];
 
-  edges.forEach((edge) => {
-    if (adj.has(edge.from) && adj.has(edge.to)) {
-      adj.get(edge.from).push(edge.to);
-      inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+  nodesMap.forEach((node) => {
+    const placement = layout.nodes.get(node.id);
+    const mainSize = horizontal ? node.width : node.height;
+    const crossSize = horizontal ? node.height : node.width;
+    // Reversed directions mirror the main axis so layer 0 ends up last
+    const mainPos = Math.min(
+      axes.toScreenMain(placement.main),
+      axes.toScreenMain(placement.main + mainSize)
+    );
+    const topLeft = axes.point(mainPos, placement.cross - crossSize / 2);
+    node.x = topLeft.x;
+    node.y = topLeft.y;
+    // Edges of the layer along the flow; edges bend between layers
+    node.layerStart = axes.toScreenMain(placement.layerStart);
+    node.layerEnd = axes.toScreenMain(placement.layerEnd);
+    node.firstLayer = placement.layer;
+    node.lastLayer = placement.layer;
+    positionedNodes.push(node);
+  });
+  return positionedNodes;
+}
+
+/**
+ * Maps group frames from the layered layout onto screen coordinates. Groups
+ * can be edge endpoints, so they get the same fields as positioned nodes.
+ * @param {object} layout - Result from layoutLayered.
+ * @param {Array} groups - The flowchart "groups" array.
+ * @param {string} direction - A normalized direction.
+ * @returns {Map} Group ID -> {id, label, depth, x, y, width, height,
+ *   layerStart, layerEnd, firstLayer, lastLayer}
+ */
+function positionGroups(layout, groups, direction) {
+  const axes = getAxes(direction);
+  const parents = new Map(groups.map((group) => [group.id, group.parent]));
+  const groupsMap = new Map();
+
+  groups.forEach((group) => {
+    const frame = layout.groups.get(group.id);
+    if (!frame) return; // No nodes inside
+    const mainStart = axes.toScreenMain(frame.mainStart);
+    const mainEnd = axes.toScreenMain(frame.mainEnd);
+    const topLeft = axes.point(Math.min(mainStart, mainEnd), frame.crossStart);
+    const bottomRight = axes.point(
+      Math.max(mainStart, mainEnd),
+      frame.crossEnd
+    );
+    let depth = 0;
+    for (let p = group.parent; parents.has(p) && depth < groups.length; ) {
+      p = parents.get(p);
+      depth++;
     }
+    groupsMap.set(group.id, {
+      id: group.id,
+      label: group.label || group.id,
+      depth,
+      x: topLeft.x,
+      y: topLeft.y,
+      width: bottomRight.x - topLeft.x,
+      height: bottomRight.y - topLeft.y,
+      layerStart: mainStart,
+      layerEnd: mainEnd,
+      firstLayer: frame.firstLayer,
+      lastLayer: frame.lastLayer,
+    });
   });
-  return { adj, inDegree };
+  return groupsMap;
 }
 
 /**
- * Assigns layers to nodes using a topological sort-like approach (BFS from sources).
- * @param {object} graph
- * @param {Map} nodesMap
- * @returns {Map<number, Array>} Map where key is layer index, value is array of node IDs.
- */
-function assignLayers(graph, nodesMap) {
-  const { adj, inDegree } = graph;
-  const q = [];
-  const layers = new Map(); // layerIndex -> [nodeId1, nodeId2]
-  const nodeLayers = new Map(); // nodeId -> layerIndex
-
-  // Initialize queue with nodes having an in-degree of 0 (sources)
-  for (const [nodeId, degree] of inDegree.entries()) {
-    if (degree === 0) {
-      q.push(nodeId);
-      nodeLayers.set(nodeId, 0);
-      if (!layers.has(0)) layers.set(0, []);
-      layers.get(0).push(nodeId);
+ * Helpers to move between screen coordinates and the layout frame, where
+ * "main" runs along the flow and "cross" across it.
+ * @param {string} direction - A normalized direction.
+ * @returns {object} {main(p), cross(p), point(main, cross), toScreenMain(m)}
+ */
+function getAxes(direction) {
+  const horizontal = isHorizontal(direction);
+  const reversed = direction === "BT" || direction === "RL";
+  return {
+    main: (p) => (horizontal ? p.x : p.y),
+    cross: (p) => (horizontal ? p.y : p.x),
+    point: (main, cross) =>
+      horizontal ? { x: main, y: cross } : { x: cross, y: main },
+    toScreenMain: (m) => (reversed ? -m : m),
+  };
+}
+
+/**
+ * Unit vectors pointing along the flow for each normalized direction.
+ */
+const FLOW_VECTORS = {
+  TB: { x: 0, y: 1 },
+  BT: { x: 0, y: -1 },
+  LR: { x: 1, y: 0 },
+  RL: { x: -1, y: 0 },
+};
+
+/**
+ * Routes an edge that points to a later layer. Between layers the edge bends
+ * on the track it was given in the gap; through intermediate layers it runs
+ * straight along the waypoints reserved for it by the layout.
+ * @param {{x: number, y: number}} start - Port on the source.
+ * @param {{x: number, y: number}} end - Port on the target.
+ * @param {Array} waypoints - {cross, layerStart, layerEnd} per crossed layer.
+ * @param {Array<number>} bends - Main-axis position of the bend in every gap
+ *   the edge crosses, from assignBends.
+ * @param {string} direction - A normalized direction.
+ * @returns {object} {pathData, points, label: {x, y, attributes}}
+ */
+function routeForwardEdge(start, end, waypoints, bends, direction) {
+  const axes = getAxes(direction);
+  const points = [start];
+  let label = null;
+  [...waypoints, { cross: axes.cross(end) }].forEach((wp, k) => {
+    const bend = bends[k];
+    const last = points[points.length - 1];
+    points.push(axes.point(bend, axes.cross(last)));
+    points.push(axes.point(bend, wp.cross));
+    if (!label) {
+      // Label the first cross segment, right after the source
+      label = getEdgeLabelPlacement(
+        start,
+        axes.point(bend, wp.cross),
+        bend,
+        direction
+      );
     }
+    if (wp.layerEnd !== undefined) {
+      points.push(axes.point(wp.layerStart, wp.cross));
+      points.push(axes.point(wp.layerEnd, wp.cross));
+    }
+  });
+  points.push(end);
+
+  return { pathData: pointsToPathData(points, CORNER_RADIUS), points, label };
+}
+
+/**
+ * Routes an edge that closes a cycle. It leaves the source sideways, runs
+ * back along a lane outside the graph and enters the target from the same
+ * side, so loops read clearly as going "back".
+ * @param {{x: number, y: number}} start - Port on the side of the source.
+ * @param {{x: number, y: number}} end - Port on the side of the target.
+ * @param {string} direction - A normalized direction.
+ * @param {number} lane - Cross-axis coordinate of the lane to run along.
+ * @returns {object} {pathData, points, label: {x, y, attributes}}
+ */
+function routeBackEdge(start, end, direction, lane) {
+  if (isHorizontal(direction)) {
+    const points = [start, { x: start.x, y: lane }, { x: end.x, y: lane }, end];
+    return {
+      pathData: pointsToPathData(points, CORNER_RADIUS),
+      points,
+      label: {
+        x: (start.x + end.x) / 2,
+        y: lane + 5,
+        attributes: { "text-anchor": "middle", "dominant-baseline": "hanging" },
+      },
+    };
   }
+  const points = [start, { x: lane, y: start.y }, { x: lane, y: end.y }, end];
+  return {
+    pathData: pointsToPathData(points, CORNER_RADIUS),
+    points,
+    label: {
+      x: lane + EDGE_LABEL_MARGIN,
+      y: (start.y + end.y) / 2,
+      attributes: { "text-anchor": "start", "dominant-baseline": "middle" },
+    },
+  };
+}
 
-  let head = 0;
-  while (head < q.length) {
-    const u = q[head++];
-    const currentLayer = nodeLayers.get(u);
-
-    for (const v of adj.get(u)) {
-      inDegree.set(v, inDegree.get(v) - 1);
-      if (inDegree.get(v) === 0) {
-        q.push(v);
-        const nextLayer = currentLayer + 1;
-        nodeLayers.set(v, nextLayer);
-        if (!layers.has(nextLayer)) layers.set(nextLayer, []);
-        layers.get(nextLayer).push(v);
-      }
-    }
+/**
+ * Routes an edge from a node to itself as a small arc on the side facing
+ * away from loop-back lanes (left in vertical layouts, top in horizontal).
+ * @param {object} node - Positioned node.
+ * @param {string} direction - A normalized direction.
+ * @returns {object} {pathData, points, label: {x, y, attributes}}
+ */
+function routeSelfLoop(node, direction) {
+  const center = getNodeCenter(node);
+  const size = SELF_LOOP_SIZE;
+  if (isHorizontal(direction)) {
+    const offset = Math.min(node.width / 4, size);
+    const up = { x: 0, y: -1 };
+    const start = getNodeAnchor(node, up, {
+      x: center.x - offset,
+      y: center.y,
+    });
+    const end = getNodeAnchor(node, up, { x: center.x + offset, y: center.y });
+    const top = Math.min(start.y, end.y) - size;
+    return {
+      pathData: `M ${start.x},${start.y} C ${start.x - size / 2},${
+        start.y - size * 1.5
+      } ${end.x + size / 2},${end.y - size * 1.5} ${end.x},${end.y}`,
+      points: [start, end, { x: center.x, y: top }],
+      label: {
+        x: center.x,
+        y: top - 4,
+        attributes: { "text-anchor": "middle", "dominant-baseline": "auto" },
+      },
+    };
   }
+  const offset = Math.min(node.height / 4, size / 2);
+  const left = { x: -1, y: 0 };
+  const start = getNodeAnchor(node, left, {
+    x: center.x,
+    y: center.y - offset,
+  });
+  const end = getNodeAnchor(node, left, { x: center.x, y: center.y + offset });
+  const outer = Math.min(start.x, end.x) - size;
+  return {
+    pathData: `M ${start.x},${start.y} C ${start.x - size * 1.5},${
+      start.y - size / 2
+    } ${end.x - size * 1.5},${end.y + size / 2} ${end.x},${end.y}`,
+    points: [start, end, { x: outer, y: center.y }],
+    label: {
+      x: outer - 4,
+      y: center.y,
+      attributes: { "text-anchor": "end", "dominant-baseline": "middle" },
+    },
+  };
+}
 
-  // Handle cycles or unconnected nodes (assign to highest existing layer + 1 or 0)
-  // For simplicity, any node not yet assigned a layer by BFS is put into layer 0
-  // A more robust algorithm would deal with cycles differently (e.g., breaking back-edges)
-  // but for simple flowcharts, this is acceptable.
-  nodesMap.forEach((node) => {
-    if (!nodeLayers.has(node.id)) {
-      // Find max layer or default to 0
-      const maxExistingLayer =
-        layers.size > 0 ? Math.max(...Array.from(layers.keys())) : -1;
-      const targetLayer = maxExistingLayer + 1; // Put them in a new layer at the end
-      nodeLayers.set(node.id, targetLayer);
-      if (!layers.has(targetLayer)) layers.set(targetLayer, []);
-      layers.get(targetLayer).push(node.id);
+/**
+ * Picks where every edge attaches to its nodes. Forward edges leave the
+ * source on the side facing the next layer and enter the target on the side
+ * facing the previous one; loop-back edges use the side facing their lanes.
+ * Edges sharing a side are spread over distinct ports, ordered so that they
+ * do not cross right outside the node. Sets `start` and `end` on the routes.
+ * @param {Array} routes - Edge routes with kind, fromNode and toNode.
+ * @param {string} direction - A normalized direction.
+ */
+function assignPorts(routes, direction) {
+  const axes = getAxes(direction);
+  const flow = FLOW_VECTORS[direction];
+  const backSide = isHorizontal(direction) ? { x: 0, y: 1 } : { x: 1, y: 0 };
+  // Along the lane side, loop-back edges head toward lower coordinates in
+  // TB/LR and higher ones in BT/RL
+  const travel = direction === "BT" || direction === "RL" ? 1 : -1;
+  const sides = new Map();
+  const attach = (route, end, node, dir, key) => {
+    const sideKey = `${node.id}\u0000${dir.x},${dir.y}`;
+    if (!sides.has(sideKey)) sides.set(sideKey, { node, dir, ports: [] });
+    sides.get(sideKey).ports.push({ route, end, key });
+  };
+
+  routes.forEach((route) => {
+    if (route.kind === "forward") {
+      const { waypoints } = route;
+      // Order ports by where the edge goes next
+      const next =
+        waypoints.length > 0
+          ? waypoints[0].cross
+          : axes.cross(getNodeCenter(route.toNode));
+      const previous =
+        waypoints.length > 0
+          ? waypoints[waypoints.length - 1].cross
+          : axes.cross(getNodeCenter(route.fromNode));
+      attach(route, "start", route.fromNode, flow, [0, next]);
+      attach(route, "end", route.toNode, { x: -flow.x, y: -flow.y }, [
+        0,
+        previous,
+      ]);
+    } else if (route.kind === "back") {
+      // Outgoing loops go first in their travel direction, incoming ones
+      // last; inner lanes keep to the inside so lanes do not cross
+      attach(route, "start", route.fromNode, backSide, [
+        travel,
+        -travel * route.laneIndex,
+      ]);
+      attach(route, "end", route.toNode, backSide, [
+        -travel,
+        travel * route.laneIndex,
+      ]);
     }
   });
 
-  return { layers, nodeLayers };
+  sides.forEach(({ node, dir, ports }) => {
+    ports.sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1]);
+    const along = dir.x === 0 ? { x: 1, y: 0 } : { x: 0, y: 1 };
+    const sideLength = dir.x === 0 ? node.width : node.height;
+    const spacing =
+      ports.length > 1
+        ? Math.min(
+            PORT_SPACING,
+            (sideLength * PORT_SPREAD) / (ports.length - 1)
+          )
+        : 0;
+    const center = getNodeCenter(node);
+    ports.forEach(({ route, end }, k) => {
+      const offset = (k - (ports.length - 1) / 2) * spacing;
+      route[end] = getNodeAnchor(node, dir, {
+        x: center.x + along.x * offset,
+        y: center.y + along.y * offset,
+      });
+    });
+  });
 }
 
 /**
- * Positions nodes based on their assigned layers.
- * @param {object} layersData - Result from assignLayers.
- * @param {Map} nodesMap
- * @returns {Array} Array of node objects with x, y coordinates.
+ * Picks where forward edges bend in every layer gap they cross. Edges whose
+ * cross segments overlap in the same gap get separate tracks, spread evenly
+ * over the gap. Sets `bends` on the forward routes.
+ * @param {Array} routes - Edge routes with ports from assignPorts.
+ * @param {string} direction - A normalized direction.
  */
-function positionNodes(layersData, nodesMap) {
-  const { layers, nodeLayers } = layersData;
-  const positionedNodes = [];
+function assignBends(routes, direction) {
+  const axes = getAxes(direction);
+  const gaps = new Map(); // Index of the layer before the gap -> segments
 
-  const sortedLayerKeys = Array.from(layers.keys()).sort((a, b) => a - b);
-
-  let currentY = 0;
-  for (const layerIndex of sortedLayerKeys) {
-    const nodeIdsInLayer = layers.get(layerIndex);
-    const numNodes = nodeIdsInLayer.length;
-    const totalWidth = numNodes * NODE_WIDTH + (numNodes - 1) * H_GAP;
-    const startX = -totalWidth / 2 + NODE_WIDTH / 2; // Center layer horizontally
+  routes.forEach((route) => {
+    if (route.kind !== "forward") return;
+    const { waypoints } = route;
+    const crosses = [
+      axes.cross(route.start),
+      ...waypoints.map((wp) => wp.cross),
+      axes.cross(route.end),
+    ];
+    const layers = [
+      ...waypoints.map((wp) => wp.layer),
+      route.toNode.firstLayer,
+    ];
+    route.bends = [];
+    layers.forEach((layer, k) => {
+      if (!gaps.has(layer - 1)) gaps.set(layer - 1, []);
+      gaps
+        .get(layer - 1)
+        .push({ route, k, from: crosses[k], to: crosses[k + 1] });
+    });
+  });
 
-    nodeIdsInLayer.forEach((nodeId, i) => {
-      const node = nodesMap.get(nodeId);
-      node.x = startX + i * (NODE_WIDTH + H_GAP);
-      node.y = currentY;
-      positionedNodes.push(node);
+  gaps.forEach((segments) => {
+    const { tracks, count } = assignTracks(segments);
+    segments.forEach(({ route, k }, s) => {
+      const gapStart =
+        k === 0 ? route.fromNode.layerEnd : route.waypoints[k - 1].layerEnd;
+      const gapEnd =
+        k < route.waypoints.length
+          ? route.waypoints[k].layerStart
+          : route.toNode.layerStart;
+      const share = tracks[s] === -1 ? 0.5 : (tracks[s] + 1) / (count + 1);
+      route.bends[k] = gapStart + (gapEnd - gapStart) * share;
     });
-    currentY += NODE_HEIGHT + V_GAP;
+  });
+}
+
+/**
+ * Finds the point where a ray from inside the node leaves the node's shape.
+ * @param {object} node - Positioned node {x, y, width, height, shape}.
+ * @param {{x: number, y: number}} dir - Ray direction.
+ * @param {{x: number, y: number}} [origin] - Ray origin, defaults to the
+ *   node center.
+ * @returns {{x: number, y: number}}
+ */
+function getNodeAnchor(node, dir, origin = getNodeCenter(node)) {
+  const outline = getShapeOutline(
+    node.shape,
+    node.x,
+    node.y,
+    node.width,
+    node.height
+  );
+  return getOutlinePoint(outline, origin, dir);
+}
+
+function getNodeCenter(node) {
+  return { x: node.x + node.width / 2, y: node.y + node.height / 2 };
+}
+
+/**
+ * @returns {{x: number, y: number}} Unit vector along an axis-aligned
+ *   segment.
+ */
+function getSegmentDirection(a, b) {
+  return { x: Math.sign(b.x - a.x), y: Math.sign(b.y - a.y) };
+}
+
+/**
+ * Places an edge label next to the middle of the edge's cross segment. In
+ * vertical layouts it hangs below that segment; in horizontal layouts it sits
+ * beside it, on the target's side (above the line when the edge is straight).
+ * @param {object} start - {x, y} of the source port.
+ * @param {object} end - {x, y} of the target port.
+ * @param {number} bend - Main-axis coordinate of the cross segment.
+ * @param {string} direction - A normalized direction.
+ * @returns {object} {x, y, attributes}
+ */
+function getEdgeLabelPlacement(start, end, bend, direction) {
+  if (isHorizontal(direction)) {
+    const straight = start.y === end.y;
+    return {
+      x:
+        direction === "LR"
+          ? bend + EDGE_LABEL_MARGIN
+          : bend - EDGE_LABEL_MARGIN,
+      y: straight ? start.y - 5 : (start.y + end.y) / 2,
+      attributes: {
+        "text-anchor": direction === "LR" ? "start" : "end",
+        "dominant-baseline": straight ? "auto" : "middle",
+      },
+    };
   }
-  return positionedNodes;
+  return {
+    x: (start.x + end.x) / 2,
+    y: bend + 5, // Slightly below the horizontal segment of the edge
+    attributes: { "text-anchor": "middle", "dominant-baseline": "hanging" },
+  };
+}
+
+function extendBounds(bounds, x, y) {
+  bounds.minX = Math.min(bounds.minX, x);
+  bounds.minY = Math.min(bounds.minY, y);
+  bounds.maxX = Math.max(bounds.maxX, x);
+  bounds.maxY = Math.max(bounds.maxY, y);
+}
+
+/**
+ * Picks the position of an edge label: its preferred spot if that is free,
+ * otherwise the middle of the longest edge segment that has room beside it.
+ * Labels are kept off nodes, group labels and labels placed before.
+ * @param {object} route - Routed edge with points and preferred label.
+ * @param {Array} takenBoxes - Boxes the label must not overlap.
+ * @returns {object} {x, y, attributes, box}
+ */
+function placeEdgeLabel(route, takenBoxes) {
+  const text = route.edge.label;
+  const candidates = route.label ? [route.label] : [];
+  if (route.kind !== "self") {
+    candidates.push(...getSegmentLabelCandidates(route.points));
+  }
+  const placed = candidates
+    .map((candidate) => ({
+      ...candidate,
+      box: getLabelBox(text, candidate.x, candidate.y, candidate.attributes),
+    }))
+    .find(({ box }) => !takenBoxes.some((taken) => boxesOverlap(box, taken)));
+  if (placed) return placed;
+
+  const fallback = candidates[0];
+  return {
+    ...fallback,
+    box: getLabelBox(text, fallback.x, fallback.y, fallback.attributes),
+  };
+}
+
+/**
+ * Label positions beside the middle of every segment of an orthogonal path,
+ * longest segments first: above and below horizontal segments, right and
+ * left of vertical ones.
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number, attributes: object}>}
+ */
+function getSegmentLabelCandidates(points) {
+  return points
+    .slice(1)
+    .map((b, k) => ({ a: points[k], b }))
+    .filter(({ a, b }) => a.x !== b.x || a.y !== b.y)
+    .sort(
+      (s, t) =>
+        Math.abs(t.b.x - t.a.x) +
+        Math.abs(t.b.y - t.a.y) -
+        Math.abs(s.b.x - s.a.x) -
+        Math.abs(s.b.y - s.a.y)
+    )
+    .flatMap(({ a, b }) => {
+      const x = (a.x + b.x) / 2;
+      const y = (a.y + b.y) / 2;
+      if (a.y === b.y) {
+        return [
+          {
+            x,
+            y: y - 5,
+            attributes: {
+              "text-anchor": "middle",
+              "dominant-baseline": "auto",
+            },
+          },
+          {
+            x,
+            y: y + 5,
+            attributes: {
+              "text-anchor": "middle",
+              "dominant-baseline": "hanging",
+            },
+          },
+        ];
+      }
+      return [
+        {
+          x: x + EDGE_LABEL_MARGIN,
+          y,
+          attributes: { "text-anchor": "start", "dominant-baseline": "middle" },
+        },
+        {
+          x: x - EDGE_LABEL_MARGIN,
+          y,
+          attributes: { "text-anchor": "end", "dominant-baseline": "middle" },
+        },
+      ];
+    });
+}
+
+/**
+ * Edge and group labels only break at explicit newlines.
+ * @param {string} text - Label with inline markup.
+ * @returns {Array<object[]>} Lines of runs.
+ */
+function getLabelLines(text) {
+  return wrapRichText(text, Infinity, LABEL_FONT_SIZE, FONT_FAMILY);
+}
+
+function getLabelWidth(text) {
+  return Math.max(
+    ...getLabelLines(text).map((line) =>
+      measureRichLine(line, LABEL_FONT_SIZE, FONT_FAMILY)
+    )
+  );
+}
+
+/**
+ * Creates a label anchored at (x, y) like a single line of text would be:
+ * with a "middle" baseline the lines are centered on y, with "hanging" they
+ * hang below it and otherwise they stack upwards from it.
+ * @returns {SVGTextElement}
+ */
+function createLabel(text, x, y, attributes) {
+  const lines = getLabelLines(text);
+  const lineHeight = LABEL_FONT_SIZE * LINE_HEIGHT;
+  const baseline = attributes["dominant-baseline"];
+  const firstY =
+    baseline === "hanging"
+      ? y
+      : baseline === "middle"
+      ? y - ((lines.length - 1) * lineHeight) / 2
+      : y - (lines.length - 1) * lineHeight;
+  return createRichText(
+    x,
+    firstY,
+    { "font-size": LABEL_FONT_SIZE, ...attributes },
+    lines
+  );
+}
+
+/**
+ * Approximate box covered by a label from createLabel.
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getLabelBox(text, x, y, attributes) {
+  const fontSize = LABEL_FONT_SIZE;
+  const lines = getLabelLines(text).length;
+  const width = getLabelWidth(text);
+  const height = lines * fontSize * LINE_HEIGHT;
+  const anchor = attributes["text-anchor"];
+  const baseline = attributes["dominant-baseline"];
+  const left =
+    anchor === "start" ? x : anchor === "end" ? x - width : x - width / 2;
+  const top =
+    baseline === "hanging"
+      ? y
+      : baseline === "middle"
+      ? y - height / 2
+      : y - fontSize - (lines - 1) * fontSize * LINE_HEIGHT; // Alphabetic baseline
+  return { x: left, y: top, width, height };
+}
+
+function boxesOverlap(a, b) {
+  return (
+    a.x < b.x + b.width &&
+    b.x < a.x + a.width &&
+    a.y < b.y + b.height &&
+    b.y < a.y + a.height
+  );
 }
@@ -0,0 +1,1049 @@
+// render/layered.js
+// Layered (Sugiyama-style) graph layout used by the flowchart renderer.
+// Works in an abstract frame: layers advance along the "main" axis and the
+// nodes of a layer are spread along the "cross" axis. The caller maps that
+// frame onto x/y for the chosen direction.
+
+const ORDERING_ITERATIONS = 12; // Down/up barycenter sweeps
+const COORDINATE_ITERATIONS = 10; // Alignment passes in coordinate assignment
+const DUMMY_WEIGHT = 4; // Pull of long-edge bends, keeps long edges straight
+
+/**
+ * Computes a layered layout.
+ * @param {Array<{id: string, mainSize: number, crossSize: number}>} nodes
+ * @param {Array<{from: string, to: string}>} edges - Endpoints are node or
+ *   group IDs. An edge to or from a group connects to all of its nodes.
+ * @param {object} options
+ * @param {number} options.layerGap - Gap between consecutive layers.
+ * @param {number} options.nodeGap - Gap between neighboring nodes in a layer.
+ * @param {number} options.edgeGap - Gap kept around long-edge bend points.
+ * @param {Array<{id: string, parent?: string, nodes?: Array<string>}>}
+ *   [options.groups] - Clusters of nodes, nested through `parent`. Members
+ *   of a group are kept next to each other in every layer.
+ * @param {number} [options.groupPadding] - Space between a group frame and
+ *   its contents.
+ * @returns {object} {
+ *   nodes: Map<id, {layer, cross, main, layerStart, layerEnd}>,
+ *   edgeWaypoints: Map<edgeIndex, Array<{cross, layerStart, layerEnd}>>,
+ *   backEdges: Set<edgeIndex>,
+ *   groups: Map<groupId, {crossStart, crossEnd, mainStart, mainEnd,
+ *     firstLayer, lastLayer}>,
+ * }
+ *   `cross` is the center of the node on the cross axis, `main` the start of
+ *   its box on the main axis. Waypoints are the points where an edge spanning
+ *   several layers crosses the layers in between, ordered from source to
+ *   target. Groups are returned as the frame around their members.
+ */
+export function layoutLayered(nodes, edges, options) {
+  const groups = indexGroups(options.groups || []);
+  const groupPadding = options.groupPadding || 0;
+  const links = expandGroupEdges(nodes, edges, groups);
+  const backLinks = findBackEdges(nodes, links);
+  const backEdges = new Set([...backLinks].map((k) => links[k].edgeIndex));
+  const graph = buildGraph(nodes, links, backLinks);
+  const { layers, nodeLayers } = assignLayers(graph);
+  const layered = insertDummyNodes(nodes, edges, backEdges, nodeLayers, groups);
+  const spans = addGroupFillers(layered, groups);
+  const order = orderLayers(layers, layered);
+  const { cross, frames } = assignCoordinates(order, layered, options);
+
+  // Frames starting or ending at a layer need room in the gaps around it
+  const insets = getGroupInsets(layered, spans);
+
+  // Main axis: every layer is as thick as its largest node
+  const layerStarts = [];
+  const layerEnds = [];
+  let currentMain = 0;
+  order.forEach((ids, l) => {
+    if (l > 0) {
+      currentMain +=
+        options.layerGap +
+        groupPadding * (insets.layerEnd[l - 1] + insets.layerStart[l]);
+    }
+    const thickness = Math.max(0, ...ids.map((id) => layered.get(id).mainSize));
+    layerStarts.push(currentMain);
+    layerEnds.push(currentMain + thickness);
+    currentMain += thickness;
+  });
+
+  const result = new Map();
+  nodes.forEach((node) => {
+    const layer = nodeLayers.get(node.id);
+    const thickness = layerEnds[layer] - layerStarts[layer];
+    result.set(node.id, {
+      layer,
+      cross: cross.get(node.id),
+      main: layerStarts[layer] + (thickness - node.mainSize) / 2,
+      layerStart: layerStarts[layer],
+      layerEnd: layerEnds[layer],
+    });
+  });
+
+  const edgeWaypoints = new Map();
+  layered.forEach((lnode, id) => {
+    if (lnode.edgeIndex === undefined) return;
+    if (!edgeWaypoints.has(lnode.edgeIndex)) {
+      edgeWaypoints.set(lnode.edgeIndex, []);
+    }
+    edgeWaypoints.get(lnode.edgeIndex).push({
+      layer: lnode.layer,
+      cross: cross.get(id),
+      layerStart: layerStarts[lnode.layer],
+      layerEnd: layerEnds[lnode.layer],
+    });
+  });
+  edgeWaypoints.forEach((waypoints) =>
+    waypoints.sort((a, b) => a.layer - b.layer)
+  );
+
+  const groupFrames = new Map();
+  spans.forEach((span, groupId) => {
+    groupFrames.set(groupId, {
+      ...frames.get(groupId),
+      mainStart:
+        layerStarts[span.first] - groupPadding * insets.start.get(groupId),
+      mainEnd: layerEnds[span.last] + groupPadding * insets.end.get(groupId),
+      firstLayer: span.first,
+      lastLayer: span.last,
+    });
+  });
+
+  return { nodes: result, edgeWaypoints, backEdges, groups: groupFrames };
+}
+
+/**
+ * Indexes groups by ID and resolves their nesting.
+ * @param {Array<{id: string, parent?: string, nodes?: Array<string>}>} groups
+ * @returns {Map<string, {path: Array<string>, nodes: Array<string>}>}
+ *   `path` lists the group's ancestors from the outermost one down to the
+ *   group itself; `nodes` holds every node inside the group, nested groups
+ *   included.
+ */
+function indexGroups(groups) {
+  const byId = new Map(groups.map((group) => [group.id, group]));
+  const index = new Map();
+  groups.forEach((group) => {
+    const path = [];
+    let current = group;
+    while (current && !path.includes(current.id)) {
+      path.unshift(current.id);
+      current = byId.get(current.parent);
+    }
+    index.set(group.id, { path, nodes: [] });
+  });
+  groups.forEach((group) =>
+    (group.nodes || []).forEach((nodeId) =>
+      index.get(group.id).path.forEach((ancestor) => {
+        index.get(ancestor).nodes.push(nodeId);
+      })
+    )
+  );
+  return index;
+}
+
+/**
+ * @returns {Array<string>} Path of the innermost group holding a node, or of
+ *   a group itself. Empty for nodes outside any group.
+ */
+function getGroupPath(id, groups) {
+  if (groups.has(id)) return groups.get(id).path;
+  let path = [];
+  groups.forEach((group) => {
+    if (group.nodes.includes(id) && group.path.length > path.length) {
+      path = group.path;
+    }
+  });
+  return path;
+}
+
+/**
+ * @returns {Array<string>} The nodes an edge endpoint stands for: the node
+ *   itself, or all nodes of a group.
+ */
+function getEndpointNodes(id, groups, nodeIds) {
+  const ids = groups.has(id) ? groups.get(id).nodes : [id];
+  return ids.filter((nodeId) => nodeIds.has(nodeId));
+}
+
+/**
+ * Expands edges into node-to-node links for cycle breaking and layering. An
+ * edge from or to a group becomes one link per member, so the whole group
+ * ends up after (or before) the other end.
+ * @returns {Array<{from: string, to: string, edgeIndex: number}>}
+ */
+function expandGroupEdges(nodes, edges, groups) {
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const links = [];
+  edges.forEach((edge, edgeIndex) => {
+    const sources = getEndpointNodes(edge.from, groups, nodeIds);
+    const targets = getEndpointNodes(edge.to, groups, nodeIds);
+    sources.forEach((from) =>
+      targets.forEach((to) => links.push({ from, to, edgeIndex }))
+    );
+  });
+  return links;
+}
+
+/**
+ * Finds the edges that close a cycle with a depth-first search, started from
+ * the sources first and then from any node not reached yet, in declaration
+ * order. Reversing these edges (and ignoring self-loops) makes the graph
+ * acyclic so it can be layered.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {Set<number>} Indices of back edges in `edges`.
+ */
+function findBackEdges(nodes, edges) {
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  const hasIncoming = new Set();
+  edges.forEach((edge, i) => {
+    if (!outgoing.has(edge.from) || !outgoing.has(edge.to)) return;
+    if (edge.from === edge.to) return;
+    outgoing.get(edge.from).push(i);
+    hasIncoming.add(edge.to);
+  });
+
+  const backEdges = new Set();
+  const visited = new Set();
+  const onStack = new Set();
+  const roots = [
+    ...nodes.filter((node) => !hasIncoming.has(node.id)),
+    ...nodes.filter((node) => hasIncoming.has(node.id)),
+  ];
+
+  roots.forEach((root) => {
+    if (visited.has(root.id)) return;
+    // Iterative DFS: each frame is [nodeId, index of next outgoing edge]
+    const stack = [[root.id, 0]];
+    visited.add(root.id);
+    onStack.add(root.id);
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const edgeIndices = outgoing.get(frame[0]);
+      if (frame[1] >= edgeIndices.length) {
+        onStack.delete(frame[0]);
+        stack.pop();
+        continue;
+      }
+      const edgeIndex = edgeIndices[frame[1]++];
+      const target = edges[edgeIndex].to;
+      if (onStack.has(target)) {
+        backEdges.add(edgeIndex);
+      } else if (!visited.has(target)) {
+        visited.add(target);
+        onStack.add(target);
+        stack.push([target, 0]);
+      }
+    }
+  });
+  return backEdges;
+}
+
+/**
+ * Builds an adjacency list graph representation of the acyclic graph used
+ * for layering: back edges are reversed and self-loops are left out.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Set<number>} backEdges - Result from findBackEdges.
+ * @returns {object} { adj: Map, inDegree: Map }
+ */
+function buildGraph(nodes, edges, backEdges) {
+  const adj = new Map(nodes.map((node) => [node.id, []]));
+  const inDegree = new Map(nodes.map((node) => [node.id, 0]));
+
+  edges.forEach((edge, i) => {
+    if (!adj.has(edge.from) || !adj.has(edge.to)) return;
+    if (edge.from === edge.to) return;
+    const [from, to] = backEdges.has(i)
+      ? [edge.to, edge.from]
+      : [edge.from, edge.to];
+    adj.get(from).push(to);
+    inDegree.set(to, inDegree.get(to) + 1);
+  });
+  return { adj, inDegree };
+}
+
+/**
+ * Assigns layers to nodes with a topological sort (Kahn's algorithm). Each
+ * node lands one layer below its deepest predecessor, so every edge of the
+ * acyclic graph points to a later layer. Sources are then pulled down next to
+ * their first successor so they do not create needlessly long edges.
+ * @param {object} graph - Result from buildGraph.
+ * @returns {object} { layers: Array<Array<id>>, nodeLayers: Map<id, number> }
+ *   `layers` lists node IDs in the order they were reached.
+ */
+function assignLayers(graph) {
+  const { adj } = graph;
+  const inDegree = new Map(graph.inDegree);
+  const q = [];
+  const nodeLayers = new Map(); // nodeId -> layerIndex
+
+  // Initialize queue with nodes having an in-degree of 0 (sources)
+  for (const [nodeId, degree] of inDegree.entries()) {
+    if (degree === 0) {
+      q.push(nodeId);
+      nodeLayers.set(nodeId, 0);
+    }
+  }
+
+  let head = 0;
+  while (head < q.length) {
+    const u = q[head++];
+    const currentLayer = nodeLayers.get(u);
+    for (const v of adj.get(u)) {
+      nodeLayers.set(v, Math.max(nodeLayers.get(v) ?? 0, currentLayer + 1));
+      inDegree.set(v, inDegree.get(v) - 1);
+      if (inDegree.get(v) === 0) {
+        q.push(v);
+      }
+    }
+  }
+
+  // q is in topological order; walk it backwards so successors are final
+  for (let i = q.length - 1; i >= 0; i--) {
+    const u = q[i];
+    if (graph.inDegree.get(u) !== 0 || adj.get(u).length === 0) continue;
+    const firstSuccessorLayer = Math.min(
+      ...adj.get(u).map((v) => nodeLayers.get(v))
+    );
+    nodeLayers.set(u, firstSuccessorLayer - 1);
+  }
+
+  const layers = [];
+  q.forEach((id) => {
+    const layer = nodeLayers.get(id);
+    while (layers.length <= layer) layers.push([]);
+    layers[layer].push(id);
+  });
+  return { layers, nodeLayers };
+}
+
+/**
+ * Builds the "proper" layered graph: every edge spanning more than one layer
+ * is split into a chain of dummy nodes, one per layer it crosses, so that
+ * all edges connect adjacent layers. Back edges and self-loops are routed
+ * separately and are left out. Edges from or to a group attach to its nodes
+ * in the last (or first) layer of the group.
+ * Every node gets the `path` of groups it belongs to; dummies belong to the
+ * groups shared by both ends of their edge.
+ * @returns {Map<id, object>} Layered nodes with `up`/`down` neighbor lists.
+ */
+function insertDummyNodes(nodes, edges, backEdges, nodeLayers, groups) {
+  const layered = new Map();
+  nodes.forEach((node) => {
+    layered.set(node.id, {
+      id: node.id,
+      layer: nodeLayers.get(node.id),
+      mainSize: node.mainSize,
+      crossSize: node.crossSize,
+      dummy: false,
+      path: getGroupPath(node.id, groups),
+      up: [],
+      down: [],
+    });
+  });
+
+  const connect = (upper, lower) => {
+    layered.get(upper).down.push(lower);
+    layered.get(lower).up.push(upper);
+  };
+
+  edges.forEach((edge, i) => {
+    if (edge.from === edge.to || backEdges.has(i)) return;
+    const sources = getEndpointNodes(edge.from, groups, layered);
+    const targets = getEndpointNodes(edge.to, groups, layered);
+    if (sources.length === 0 || targets.length === 0) return;
+    const fromLayer = Math.max(...sources.map((id) => nodeLayers.get(id)));
+    const toLayer = Math.min(...targets.map((id) => nodeLayers.get(id)));
+    if (fromLayer >= toLayer) return;
+
+    const fromPath = getGroupPath(edge.from, groups);
+    const toPath = getGroupPath(edge.to, groups);
+    const path = fromPath.filter((group, k) => toPath[k] === group);
+    let previous = sources.filter((id) => nodeLayers.get(id) === fromLayer);
+    for (let layer = fromLayer + 1; layer < toLayer; layer++) {
+      const id = `\u0000dummy:${i}:${layer}`; // Cannot clash with user IDs
+      layered.set(id, {
+        id,
+        layer,
+        mainSize: 0,
+        crossSize: 0,
+        dummy: true,
+        edgeIndex: i,
+        path,
+        up: [],
+        down: [],
+      });
+      previous.forEach((upper) => connect(upper, id));
+      previous = [id];
+    }
+    targets
+      .filter((id) => nodeLayers.get(id) === toLayer)
+      .forEach((lower) => previous.forEach((upper) => connect(upper, lower)));
+  });
+  return layered;
+}
+
+/**
+ * Makes every group present in each layer between its first and last one,
+ * adding an empty placeholder node where it has no members, so its frame
+ * can be kept clear of other nodes.
+ * @returns {Map<groupId, {first: number, last: number}>} Layers spanned by
+ *   each group that has nodes.
+ */
+function addGroupFillers(layered, groups) {
+  const groupLayers = new Map();
+  layered.forEach((lnode) =>
+    lnode.path.forEach((groupId) => {
+      if (!groupLayers.has(groupId)) groupLayers.set(groupId, new Set());
+      groupLayers.get(groupId).add(lnode.layer);
+    })
+  );
+
+  // Innermost groups first, so their fillers also count for the outer ones
+  const byDepth = [...groupLayers.keys()].sort(
+    (a, b) => groups.get(b).path.length - groups.get(a).path.length
+  );
+  const spans = new Map();
+  byDepth.forEach((groupId) => {
+    const layers = groupLayers.get(groupId);
+    const first = Math.min(...layers);
+    const last = Math.max(...layers);
+    spans.set(groupId, { first, last });
+    for (let layer = first + 1; layer < last; layer++) {
+      if (layers.has(layer)) continue;
+      const id = `\u0000group:${groupId}:${layer}`;
+      layered.set(id, {
+        id,
+        layer,
+        mainSize: 0,
+        crossSize: 0,
+        dummy: true,
+        path: groups.get(groupId).path,
+        up: [],
+        down: [],
+      });
+      // Enclosing groups now have a member here as well
+      groups
+        .get(groupId)
+        .path.forEach((ancestor) => groupLayers.get(ancestor).add(layer));
+    }
+  });
+  return spans;
+}
+
+/**
+ * Counts how many group frames begin and end at each layer. A frame is
+ * inset by one padding per frame nested inside it that begins (or ends) at
+ * the same layer.
+ * @returns {object} { start: Map<groupId, number>, end: Map<groupId, number>,
+ *   layerStart: Array<number>, layerEnd: Array<number> }
+ */
+function getGroupInsets(layered, spans) {
+  const insets = {
+    start: new Map(),
+    end: new Map(),
+    layerStart: [],
+    layerEnd: [],
+  };
+  layered.forEach((lnode) => {
+    let starting = 0;
+    let ending = 0;
+    // Walk outwards: inner frames begin no earlier than the outer ones
+    for (let k = lnode.path.length - 1; k >= 0; k--) {
+      const groupId = lnode.path[k];
+      const span = spans.get(groupId);
+      if (span.first === lnode.layer) {
+        starting++;
+        insets.start.set(
+          groupId,
+          Math.max(insets.start.get(groupId) || 0, starting)
+        );
+      }
+      if (span.last === lnode.layer) {
+        ending++;
+        insets.end.set(groupId, Math.max(insets.end.get(groupId) || 0, ending));
+      }
+    }
+    insets.layerStart[lnode.layer] = Math.max(
+      insets.layerStart[lnode.layer] || 0,
+      starting
+    );
+    insets.layerEnd[lnode.layer] = Math.max(
+      insets.layerEnd[lnode.layer] || 0,
+      ending
+    );
+  });
+  return insets;
+}
+
+/**
+ * Orders the nodes of each layer to reduce edge crossings: alternating
+ * down/up sweeps sort each layer by the barycenter of its neighbors in the
+ * previous layer, followed by a transpose pass that swaps neighbors while
+ * that removes crossings. The best ordering seen is kept. Members of a group
+ * stay contiguous throughout.
+ * @param {Array<Array<id>>} layers - Initial ordering of the real nodes.
+ * @param {Map<id, object>} layered - Result from insertDummyNodes.
+ * @returns {Array<Array<id>>} Ordered layers including dummy nodes.
+ */
+function orderLayers(layers, layered) {
+  // Start from a breadth-first placement so dummies follow their sources
+  const order = layers.map(() => []);
+  const placed = new Set();
+  layers.forEach((ids) =>
+    ids.forEach((id) => {
+      const queue = [id];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (placed.has(current)) continue;
+        placed.add(current);
+        order[layered.get(current).layer].push(current);
+        layered
+          .get(current)
+          .down.filter((next) => layered.get(next).dummy)
+          .forEach((next) => queue.push(next));
+      }
+    })
+  );
+  // Group fillers are not connected to anything
+  layered.forEach((lnode, id) => {
+    if (!placed.has(id)) order[lnode.layer].push(id);
+  });
+  clusterLayers(order, layered);
+
+  let best = order.map((ids) => [...ids]);
+  let bestCrossings = countAllCrossings(best, layered);
+
+  for (let iter = 0; iter < ORDERING_ITERATIONS && bestCrossings > 0; iter++) {
+    const groupRanks = clusterLayers(order, layered);
+    const downward = iter % 2 === 0;
+    if (downward) {
+      for (let l = 1; l < order.length; l++) {
+        sortByBarycenter(order, l, l - 1, "up", layered);
+        order[l] = clusterLayer(order[l], layered, groupRanks);
+      }
+    } else {
+      for (let l = order.length - 2; l >= 0; l--) {
+        sortByBarycenter(order, l, l + 1, "down", layered);
+        order[l] = clusterLayer(order[l], layered, groupRanks);
+      }
+    }
+    transpose(order, layered);
+
+    const crossings = countAllCrossings(order, layered);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = order.map((ids) => [...ids]);
+    }
+  }
+  return best;
+}
+
+/**
+ * Ranks groups by the average relative position of their members over all
+ * layers, then regroups every layer with that ranking.
+ * @returns {Map<groupId, number>} The ranking used.
+ */
+function clusterLayers(order, layered) {
+  const totals = new Map();
+  order.forEach((ids) =>
+    ids.forEach((id, i) =>
+      layered.get(id).path.forEach((groupId) => {
+        const total = totals.get(groupId) || { sum: 0, count: 0 };
+        total.sum += (i + 0.5) / ids.length;
+        total.count++;
+        totals.set(groupId, total);
+      })
+    )
+  );
+  const groupRanks = new Map();
+  totals.forEach((total, groupId) =>
+    groupRanks.set(groupId, total.sum / total.count)
+  );
+  order.forEach((ids, l) => {
+    order[l] = clusterLayer(ids, layered, groupRanks);
+  });
+  return groupRanks;
+}
+
+/**
+ * Reorders a layer so the members of every group, nested ones included, are
+ * contiguous. A group takes the place of the average position of its
+ * members, but sibling groups always follow their rank: stacking them the
+ * same way in every layer is what lets their frames be rectangles.
+ * @param {Array<id>} ids
+ * @param {Map<id, object>} layered
+ * @param {Map<groupId, number>} groupRanks
+ * @param {number} [depth] - Nesting level being grouped.
+ * @returns {Array<id>}
+ */
+function clusterLayer(ids, layered, groupRanks, depth = 0) {
+  const clusters = [];
+  const byGroup = new Map();
+  ids.forEach((id, i) => {
+    const groupId = layered.get(id).path[depth];
+    if (groupId === undefined) {
+      clusters.push({ key: i, ids: [id] });
+      return;
+    }
+    if (!byGroup.has(groupId)) {
+      byGroup.set(groupId, { groupId, key: 0, ids: [] });
+      clusters.push(byGroup.get(groupId));
+    }
+    byGroup.get(groupId).key += i;
+    byGroup.get(groupId).ids.push(id);
+  });
+  if (byGroup.size === 0) return ids;
+
+  byGroup.forEach((cluster) => (cluster.key /= cluster.ids.length));
+  clusters.sort((a, b) => a.key - b.key);
+  const ranked = [...byGroup.values()].sort(
+    (a, b) =>
+      groupRanks.get(a.groupId) - groupRanks.get(b.groupId) ||
+      (a.groupId < b.groupId ? -1 : 1)
+  );
+  let next = 0;
+  return clusters.flatMap((cluster) =>
+    cluster.groupId === undefined
+      ? cluster.ids
+      : clusterLayer(ranked[next++].ids, layered, groupRanks, depth + 1)
+  );
+}
+
+/**
+ * Sorts one layer by the average position of each node's neighbors in an
+ * adjacent, fixed layer. Nodes without such neighbors keep their position.
+ */
+function sortByBarycenter(order, layerIndex, fixedIndex, side, layered) {
+  const fixedPos = new Map(order[fixedIndex].map((id, i) => [id, i]));
+  const layer = order[layerIndex];
+  const barycenters = new Map();
+  layer.forEach((id, i) => {
+    const neighbors = layered.get(id)[side];
+    barycenters.set(
+      id,
+      neighbors.length > 0
+        ? neighbors.reduce((sum, n) => sum + fixedPos.get(n), 0) /
+            neighbors.length
+        : i
+    );
+  });
+
+  // Place free nodes back at their index, sort the rest around them
+  const movable = layer.filter((id) => layered.get(id)[side].length > 0);
+  movable.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+  let next = 0;
+  order[layerIndex] = layer.map((id) =>
+    layered.get(id)[side].length > 0 ? movable[next++] : id
+  );
+}
+
+/**
+ * Swaps adjacent nodes in every layer while doing so reduces the crossings
+ * with both neighboring layers.
+ */
+function transpose(order, layered) {
+  let improved = true;
+  let rounds = 0;
+  while (improved && rounds++ < order.length * 2) {
+    improved = false;
+    for (let l = 0; l < order.length; l++) {
+      const layer = order[l];
+      for (let i = 0; i < layer.length - 1; i++) {
+        // Only swap within a group, so groups stay contiguous
+        if (!isSamePath(layered.get(layer[i]), layered.get(layer[i + 1]))) {
+          continue;
+        }
+        const before = countLayerCrossings(order, l, layered);
+        [layer[i], layer[i + 1]] = [layer[i + 1], layer[i]];
+        if (countLayerCrossings(order, l, layered) < before) {
+          improved = true;
+        } else {
+          [layer[i], layer[i + 1]] = [layer[i + 1], layer[i]];
+        }
+      }
+    }
+  }
+}
+
+function isSamePath(a, b) {
+  return (
+    a.path.length === b.path.length &&
+    a.path[a.path.length - 1] === b.path[b.path.length - 1]
+  );
+}
+
+/**
+ * @returns {number} Crossings between a layer and both of its neighbors.
+ */
+function countLayerCrossings(order, l, layered) {
+  let total = 0;
+  if (l > 0) total += countCrossings(order[l - 1], order[l], layered);
+  if (l < order.length - 1) {
+    total += countCrossings(order[l], order[l + 1], layered);
+  }
+  return total;
+}
+
+function countAllCrossings(order, layered) {
+  let total = 0;
+  for (let l = 0; l < order.length - 1; l++) {
+    total += countCrossings(order[l], order[l + 1], layered);
+  }
+  return total;
+}
+
+/**
+ * Counts crossings between the edges of two adjacent layers: two edges cross
+ * when their endpoints are ordered differently in the two layers.
+ * @param {Array<id>} upper
+ * @param {Array<id>} lower
+ * @param {Map<id, object>} layered
+ * @returns {number}
+ */
+function countCrossings(upper, lower, layered) {
+  const lowerPos = new Map(lower.map((id, i) => [id, i]));
+  const segments = [];
+  upper.forEach((id, i) =>
+    layered.get(id).down.forEach((n) => segments.push([i, lowerPos.get(n)]))
+  );
+  let crossings = 0;
+  for (let a = 0; a < segments.length; a++) {
+    for (let b = a + 1; b < segments.length; b++) {
+      const [u1, v1] = segments[a];
+      const [u2, v2] = segments[b];
+      if ((u1 - u2) * (v1 - v2) < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+/**
+ * Assigns cross-axis centers. Each pass moves every node toward the average
+ * center of its neighbors in the previous (or next) layer, then resolves
+ * overlaps with a least-squares fit that keeps the order and the minimum
+ * spacing. Long-edge dummies pull harder so long edges stay straight.
+ * Group frames are then aligned across layers, see alignGroupFrames.
+ * @param {Array<Array<id>>} order - Result from orderLayers.
+ * @param {Map<id, object>} layered
+ * @param {object} options - See layoutLayered.
+ * @returns {object} { cross: Map<id, number>,
+ *   frames: Map<groupId, {crossStart, crossEnd}> }
+ *   `cross` holds the center of every layered node.
+ */
+function assignCoordinates(order, layered, options) {
+  const cross = new Map();
+  const tokens = order.map((ids) => getLayerTokens(ids, layered));
+  const tokenGap = (a, b) => getTokenGap(a, b, layered, options);
+
+  // Minimum distance between consecutive nodes, frames in between included
+  const gaps = tokens.map((layerTokens) => {
+    const result = [];
+    let distance = null; // Since the previous node
+    layerTokens.forEach((token, k) => {
+      if (distance !== null) distance += tokenGap(layerTokens[k - 1], token);
+      if (token.id === undefined) return;
+      if (distance !== null) result.push(distance);
+      distance = 0;
+    });
+    return result;
+  });
+
+  // Initial packing, each layer centered on 0
+  order.forEach((ids, l) => {
+    let pos = 0;
+    ids.forEach((id, i) => {
+      if (i > 0) pos += gaps[l][i - 1];
+      cross.set(id, pos);
+    });
+    ids.forEach((id) => cross.set(id, cross.get(id) - pos / 2));
+  });
+
+  const placeLayer = (l, sides) => {
+    const ids = order[l];
+    const desired = [];
+    const weights = [];
+    ids.forEach((id) => {
+      const lnode = layered.get(id);
+      const neighbors = sides.flatMap((side) => lnode[side]);
+      if (neighbors.length === 0) {
+        desired.push(cross.get(id));
+        weights.push(0.01); // Free nodes only fill the gaps
+        return;
+      }
+      const mean =
+        neighbors.reduce((sum, n) => sum + cross.get(n), 0) / neighbors.length;
+      desired.push(mean);
+      weights.push(lnode.dummy ? DUMMY_WEIGHT : 1);
+    });
+    fitWithSpacing(desired, weights, gaps[l]).forEach((pos, i) =>
+      cross.set(ids[i], pos)
+    );
+  };
+
+  for (let iter = 0; iter < COORDINATE_ITERATIONS; iter++) {
+    if (iter % 2 === 0) {
+      for (let l = 1; l < order.length; l++) placeLayer(l, ["up"]);
+    } else {
+      for (let l = order.length - 2; l >= 0; l--) placeLayer(l, ["down"]);
+    }
+  }
+  // Balance against both neighbor layers so parents center over children
+  for (let iter = 0; iter < COORDINATE_ITERATIONS / 2; iter++) {
+    order.forEach((ids, l) => placeLayer(l, ["up", "down"]));
+  }
+  straightenEdges(order, layered, cross, gaps, options.nodeGap / 2);
+
+  const frames = alignGroupFrames(tokens, cross, layered, tokenGap, options);
+  return { cross, frames };
+}
+
+/**
+ * Balancing leaves nodes of differing sizes a few pixels apart, which shows
+ * as small jogs in otherwise straight edges. Snaps nodes onto an almost
+ * aligned neighbor they are linked to one-to-one, first top-down onto the
+ * layer above so chains line up with their start, then bottom-up for nodes
+ * still left out. A node only moves if the minimum gaps in its layer still
+ * hold.
+ * @param {string[][]} order
+ * @param {Map} layered
+ * @param {Map} cross - Cross positions, updated in place.
+ * @param {number[][]} gaps - Minimum distances between consecutive nodes.
+ * @param {number} tolerance - Offsets below this are snapped away. Half the
+ *   node gap: a larger offset is a deliberate spread, not a jog.
+ */
+function straightenEdges(order, layered, cross, gaps, tolerance) {
+  const snapLayer = (l, side) => {
+    const ids = order[l];
+    ids.forEach((id, i) => {
+      const pos = cross.get(id);
+      const lnode = layered.get(id);
+      // Only one-to-one links attach at the node centers, others get ports
+      const linked = (n, nodeSide) =>
+        lnode[nodeSide].length === 1 &&
+        layered.get(n)[nodeSide === "up" ? "down" : "up"].length === 1;
+      const aligned = (nodeSide) =>
+        lnode[nodeSide].some(
+          (n) => linked(n, nodeSide) && cross.get(n) === pos
+        );
+      if (aligned("up") || aligned("down")) return;
+      let best = null;
+      lnode[side].forEach((n) => {
+        if (!linked(n, side)) return;
+        const offset = cross.get(n) - pos;
+        if (Math.abs(offset) >= tolerance) return;
+        if (best === null || Math.abs(offset) < Math.abs(best)) best = offset;
+      });
+      if (best === null) return;
+      const target = pos + best;
+      if (i > 0 && target - cross.get(ids[i - 1]) < gaps[l][i - 1]) return;
+      if (i < ids.length - 1 && cross.get(ids[i + 1]) - target < gaps[l][i]) {
+        return;
+      }
+      cross.set(id, target);
+    });
+  };
+
+  for (let l = 1; l < order.length; l++) snapLayer(l, "up");
+  for (let l = order.length - 2; l >= 0; l--) snapLayer(l, "down");
+}
+
+/**
+ * Lists a layer as a sequence of tokens: its nodes, with the left and right
+ * border of every group frame around the nodes inside it.
+ * @returns {Array<{id: string} | {groupId: string, side: string}>}
+ */
+function getLayerTokens(ids, layered) {
+  const tokens = [];
+  let open = [];
+  const close = (depth) => {
+    for (let k = open.length - 1; k >= depth; k--) {
+      tokens.push({ groupId: open[k], side: "right" });
+    }
+  };
+  ids.forEach((id) => {
+    const path = layered.get(id).path;
+    let common = 0;
+    while (common < open.length && open[common] === path[common]) common++;
+    close(common);
+    for (let k = common; k < path.length; k++) {
+      tokens.push({ groupId: path[k], side: "left" });
+    }
+    tokens.push({ id });
+    open = path;
+  });
+  close(0);
+  return tokens;
+}
+
+/**
+ * Minimum cross-axis distance between two consecutive tokens of a layer,
+ * measured between node centers and frame borders.
+ */
+function getTokenGap(a, b, layered, options) {
+  const padding = options.groupPadding || 0;
+  const na = a.id === undefined ? null : layered.get(a.id);
+  const nb = b.id === undefined ? null : layered.get(b.id);
+  // Half the usual gap on the outside of a frame
+  const clearance = (n) => (n.dummy ? options.edgeGap : options.nodeGap) / 2;
+
+  if (na && nb) {
+    const gap = na.dummy || nb.dummy ? options.edgeGap : options.nodeGap;
+    return (na.crossSize + nb.crossSize) / 2 + gap;
+  }
+  if (na)
+    return na.crossSize / 2 + (b.side === "left" ? clearance(na) : padding);
+  if (nb) {
+    return nb.crossSize / 2 + (a.side === "right" ? clearance(nb) : padding);
+  }
+  // Nested borders sit one padding apart, sibling frames one node gap
+  return a.side === b.side ? padding : options.nodeGap;
+}
+
+/**
+ * Makes group frames rectangles that no other node intrudes on. Per-layer
+ * spacing already keeps members together, but a frame also needs the same
+ * left and right border in every layer it spans. Each border becomes one
+ * position shared by all those layers; positions are then pushed apart along
+ * the resulting constraints once to the right and once to the left. Both
+ * results satisfy every constraint and so does their average, which stays
+ * symmetric around the positions found so far.
+ * @param {Array<Array<object>>} tokens - Result from getLayerTokens per layer.
+ * @param {Map<id, number>} cross - Node centers, updated in place.
+ * @returns {Map<groupId, {crossStart: number, crossEnd: number}>}
+ */
+function alignGroupFrames(tokens, cross, layered, tokenGap, options) {
+  const frames = new Map();
+  const padding = options.groupPadding || 0;
+  const keyOf = (token) =>
+    token.id !== undefined ? token.id : `\u0000${token.side}:${token.groupId}`;
+
+  // Borders start out hugging the members of their group
+  const desired = new Map(cross);
+  const borders = new Map(); // key -> {groupId, side}
+  layered.forEach((lnode, id) =>
+    lnode.path.forEach((groupId, depth) => {
+      const reach = lnode.crossSize / 2 + padding * (lnode.path.length - depth);
+      const left = keyOf({ groupId, side: "left" });
+      const right = keyOf({ groupId, side: "right" });
+      borders.set(left, { groupId, side: "left" });
+      borders.set(right, { groupId, side: "right" });
+      desired.set(
+        left,
+        Math.min(desired.get(left) ?? Infinity, cross.get(id) - reach)
+      );
+      desired.set(
+        right,
+        Math.max(desired.get(right) ?? -Infinity, cross.get(id) + reach)
+      );
+    })
+  );
+  if (borders.size === 0) return frames;
+
+  const before = new Map([...desired.keys()].map((key) => [key, []]));
+  const after = new Map([...desired.keys()].map((key) => [key, []]));
+  const inDegree = new Map([...desired.keys()].map((key) => [key, 0]));
+  tokens.forEach((layerTokens) =>
+    layerTokens.slice(1).forEach((token, k) => {
+      const from = keyOf(layerTokens[k]);
+      const to = keyOf(token);
+      const gap = tokenGap(layerTokens[k], token);
+      after.get(from).push({ key: to, gap });
+      before.get(to).push({ key: from, gap });
+      inDegree.set(to, inDegree.get(to) + 1);
+    })
+  );
+
+  // Topological order of the constraints (Kahn's algorithm)
+  const sorted = [...desired.keys()].filter((key) => inDegree.get(key) === 0);
+  for (let head = 0; head < sorted.length; head++) {
+    after.get(sorted[head]).forEach(({ key }) => {
+      inDegree.set(key, inDegree.get(key) - 1);
+      if (inDegree.get(key) === 0) sorted.push(key);
+    });
+  }
+
+  let positions = desired;
+  // Consistent group ranks rule out cycles; keep the hull if one slips in
+  if (sorted.length === desired.size) {
+    const pushedRight = new Map();
+    sorted.forEach((key) =>
+      pushedRight.set(
+        key,
+        Math.max(
+          desired.get(key),
+          ...before.get(key).map((c) => pushedRight.get(c.key) + c.gap)
+        )
+      )
+    );
+    const pushedLeft = new Map();
+    [...sorted]
+      .reverse()
+      .forEach((key) =>
+        pushedLeft.set(
+          key,
+          Math.min(
+            desired.get(key),
+            ...after.get(key).map((c) => pushedLeft.get(c.key) - c.gap)
+          )
+        )
+      );
+    positions = new Map(
+      sorted.map((key) => [
+        key,
+        (pushedRight.get(key) + pushedLeft.get(key)) / 2,
+      ])
+    );
+  }
+
+  cross.forEach((_, id) => cross.set(id, positions.get(id)));
+  borders.forEach(({ groupId, side }, key) => {
+    if (!frames.has(groupId)) frames.set(groupId, {});
+    frames.get(groupId)[side === "left" ? "crossStart" : "crossEnd"] =
+      positions.get(key);
+  });
+  return frames;
+}
+
+/**
+ * Finds positions x[i] as close as possible (weighted least squares) to
+ * `desired` while keeping x[i+1] - x[i] >= gaps[i]. Subtracting the
+ * cumulative gaps turns this into isotonic regression, solved with the
+ * pool-adjacent-violators algorithm.
+ * @param {number[]} desired
+ * @param {number[]} weights
+ * @param {number[]} gaps - Minimum distance between consecutive positions.
+ * @returns {number[]}
+ */
+function fitWithSpacing(desired, weights, gaps) {
+  const offsets = [0];
+  gaps.forEach((gap, i) => offsets.push(offsets[i] + gap));
+
+  const blocks = []; // { weight, sum, count }
+  desired.forEach((d, i) => {
+    blocks.push({
+      weight: weights[i],
+      sum: weights[i] * (d - offsets[i]),
+      count: 1,
+    });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sum / prev.weight <= last.sum / last.weight) break;
+      blocks.pop();
+      prev.weight += last.weight;
+      prev.sum += last.sum;
+      prev.count += last.count;
+    }
+  });
+
+  const result = [];
+  blocks.forEach((block) => {
+    const value = block.sum / block.weight;
+    for (let k = 0; k < block.count; k++) {
+      result.push(value + offsets[result.length]);
+    }
+  });
+  return result;
+}
@@ -0,0 +1,370 @@
+// render/routing.js
+// Orthogonal edge routing helpers: a grid router that finds paths around
+// node boxes, track assignment for edges sharing a channel, and path data
+// with rounded corners.
+
+const ROUTE_MARGIN = 20; // Clearance kept between routed edges and obstacles
+const BEND_PENALTY = 40; // Extra cost of a bend, in pixels of edge length
+
+/**
+ * Finds an orthogonal path between two points that avoids the given boxes.
+ * The search runs over a sparse grid made of lines just outside every
+ * obstacle, lines through both endpoints and lines halfway between those,
+ * and prefers short paths with few bends.
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @param {Array<{x: number, y: number, width: number, height: number}>}
+ *   boxes - Boxes the path must not enter. May include the boxes the
+ *   endpoints sit on when startDir/endDir are given.
+ * @param {object} [options]
+ * @param {{x: number, y: number}} [options.startDir] - Direction the path
+ *   must leave `start` in.
+ * @param {{x: number, y: number}} [options.endDir] - Direction the path must
+ *   arrive at `end` in.
+ * @returns {Array<{x: number, y: number}>} The path including both ends, or
+ *   null when no path exists.
+ */
+export function routeOrthogonal(start, end, boxes, options = {}) {
+  const { startDir, endDir } = options;
+  // Grow the boxes a little so paths do not run along their borders
+  const obstacles = boxes.map((box) => ({
+    x: box.x - 1,
+    y: box.y - 1,
+    width: box.width + 2,
+    height: box.height + 2,
+  }));
+  // Leave and enter along the required directions, clear of the endpoints'
+  // own boxes
+  const from = startDir ? getExitPoint(start, startDir, obstacles) : start;
+  const to = endDir
+    ? getExitPoint(end, { x: -endDir.x, y: -endDir.y }, obstacles)
+    : end;
+
+  const xs = getGridLines(
+    [from.x, to.x],
+    obstacles.flatMap((box) => [box.x, box.x + box.width])
+  );
+  const ys = getGridLines(
+    [from.y, to.y],
+    obstacles.flatMap((box) => [box.y, box.y + box.height])
+  );
+  const isFree = (x, y) => !obstacles.some((box) => isInsideBox(x, y, box));
+  const key = (i, j) => i * ys.length + j;
+
+  // Dijkstra over (grid point, arrival direction) so bends can be counted
+  const startI = xs.indexOf(from.x);
+  const startJ = ys.indexOf(from.y);
+  const endI = xs.indexOf(to.x);
+  const endJ = ys.indexOf(to.y);
+  const steps = [
+    { di: 1, dj: 0 },
+    { di: -1, dj: 0 },
+    { di: 0, dj: 1 },
+    { di: 0, dj: -1 },
+  ];
+  const best = new Map();
+  const previous = new Map();
+  const heap = [];
+  const initialDir = startDir ? getStepIndex(startDir) : -1;
+  pushHeap(heap, { cost: 0, i: startI, j: startJ, dir: initialDir });
+  best.set(`${key(startI, startJ)}:${initialDir}`, 0);
+
+  let found = null;
+  while (heap.length > 0) {
+    const current = popHeap(heap);
+    const state = `${key(current.i, current.j)}:${current.dir}`;
+    if (current.cost > best.get(state)) continue;
+    if (current.i === endI && current.j === endJ) {
+      const arrival = endDir ? getStepIndex(endDir) : current.dir;
+      if (current.dir === arrival || current.dir === -1) {
+        found = state;
+        break;
+      }
+    }
+    steps.forEach((step, dir) => {
+      const i = current.i + step.di;
+      const j = current.j + step.dj;
+      if (i < 0 || j < 0 || i >= xs.length || j >= ys.length) return;
+      if (!isFree(xs[i], ys[j])) return;
+      const a = { x: xs[current.i], y: ys[current.j] };
+      const b = { x: xs[i], y: ys[j] };
+      if (obstacles.some((box) => segmentHitsBox(a, b, box))) return;
+      const bend = current.dir !== -1 && current.dir !== dir;
+      const cost =
+        current.cost +
+        Math.abs(b.x - a.x) +
+        Math.abs(b.y - a.y) +
+        (bend ? BEND_PENALTY : 0);
+      const next = `${key(i, j)}:${dir}`;
+      if (cost < (best.get(next) ?? Infinity)) {
+        best.set(next, cost);
+        previous.set(next, state);
+        pushHeap(heap, { cost, i, j, dir });
+      }
+    });
+  }
+  if (!found) return null;
+
+  const points = [];
+  for (let state = found; state !== undefined; state = previous.get(state)) {
+    const k = parseInt(state, 10);
+    points.unshift({ x: xs[Math.floor(k / ys.length)], y: ys[k % ys.length] });
+  }
+  return simplifyPath([start, ...points, end]);
+}
+
+/**
+ * Orders edge segments that cross the same channel and gives each one a
+ * track, so that overlapping segments run on separate lines. Tracks are
+ * numbered from the source side of the channel. The order is picked
+ * greedily to avoid crossings with the segments' own approach and exit
+ * lines; segments that do not overlap share tracks.
+ * @param {Array<{from: number, to: number}>} segments - Positions where each
+ *   segment enters and leaves the channel, along the channel.
+ * @returns {{tracks: Array<number>, count: number}} Track index per segment
+ *   (-1 for segments that run straight across) and the number of tracks.
+ */
+export function assignTracks(segments) {
+  const spans = segments.map((segment, index) => ({
+    index,
+    low: Math.min(segment.from, segment.to),
+    high: Math.max(segment.from, segment.to),
+    from: segment.from,
+    to: segment.to,
+  }));
+  const isInside = (value, span) => value > span.low && value < span.high;
+  const overlaps = (a, b) => a.low < b.high && b.low < a.high;
+  // Putting `a` before `b` makes a's segment cross the line b arrives on,
+  // and b's segment cross the line a leaves on
+  const cost = (a, b) =>
+    (isInside(b.from, a) ? 1 : 0) + (isInside(a.to, b) ? 1 : 0);
+
+  const remaining = spans.filter((span) => span.high - span.low > 0.5);
+  const ordered = [];
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestCost = Infinity;
+    remaining.forEach((span, k) => {
+      const total = remaining.reduce(
+        (sum, other) =>
+          other !== span && overlaps(span, other)
+            ? sum + cost(span, other)
+            : sum,
+        0
+      );
+      if (total < bestCost) {
+        bestCost = total;
+        bestIndex = k;
+      }
+    });
+    ordered.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  const tracks = segments.map(() => -1);
+  let count = 0;
+  ordered.forEach((span, k) => {
+    let track = 0;
+    ordered.slice(0, k).forEach((other) => {
+      if (overlaps(span, other)) {
+        track = Math.max(track, tracks[other.index] + 1);
+      }
+    });
+    tracks[span.index] = track;
+    count = Math.max(count, track + 1);
+  });
+  return { tracks, count };
+}
+
+/**
+ * Checks whether any segment of a polyline passes through the inside of one
+ * of the boxes. Touching a box border does not count.
+ * @param {Array<{x: number, y: number}>} points
+ * @param {Array<{x: number, y: number, width: number, height: number}>} boxes
+ * @returns {boolean}
+ */
+export function pathHitsBoxes(points, boxes) {
+  return points
+    .slice(1)
+    .some((b, k) => boxes.some((box) => segmentHitsBox(points[k], b, box)));
+}
+
+/**
+ * Joins points into SVG path data, skipping repeated points. Corners are
+ * rounded with the given radius, reduced where the segments are too short.
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} [cornerRadius]
+ * @returns {string}
+ */
+export function pointsToPathData(points, cornerRadius = 0) {
+  const path = simplifyPath(points);
+  return path
+    .map((p, i) => {
+      if (i === 0) return `M ${p.x},${p.y}`;
+      if (i === path.length - 1 || cornerRadius <= 0) return `L ${p.x},${p.y}`;
+      const prev = path[i - 1];
+      const next = path[i + 1];
+      const radius = Math.min(
+        cornerRadius,
+        distance(prev, p) / 2,
+        distance(p, next) / 2
+      );
+      const before = moveTowards(p, prev, radius);
+      const after = moveTowards(p, next, radius);
+      return `L ${before.x},${before.y} Q ${p.x},${p.y} ${after.x},${after.y}`;
+    })
+    .join(" ");
+}
+
+/**
+ * Removes repeated points and points in the middle of straight runs.
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number}>}
+ */
+function simplifyPath(points) {
+  const unique = points.filter(
+    (p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y
+  );
+  return unique.filter((p, i) => {
+    if (i === 0 || i === unique.length - 1) return true;
+    const prev = unique[i - 1];
+    const next = unique[i + 1];
+    return !(
+      (prev.x === p.x && p.x === next.x) ||
+      (prev.y === p.y && p.y === next.y)
+    );
+  });
+}
+
+/**
+ * Grid lines for the router: the given positions, obstacle borders pushed
+ * out by the margin, and lines halfway between neighboring borders so paths
+ * can run down the middle of channels.
+ * @param {Array<number>} fixed - Positions that must be on the grid.
+ * @param {Array<number>} borders - Obstacle border positions, in pairs of
+ *   (low, high).
+ * @returns {Array<number>} Sorted, unique positions.
+ */
+function getGridLines(fixed, borders) {
+  const lines = [...fixed];
+  for (let k = 0; k < borders.length; k += 2) {
+    lines.push(borders[k] - ROUTE_MARGIN, borders[k + 1] + ROUTE_MARGIN);
+  }
+  const sortedBorders = [...new Set(borders)].sort((a, b) => a - b);
+  sortedBorders.slice(1).forEach((b, k) => {
+    lines.push((sortedBorders[k] + b) / 2);
+  });
+  return [...new Set(lines)].sort((a, b) => a - b);
+}
+
+/**
+ * Moves a point along a direction until it is out of every box it is in or
+ * on, plus the routing margin.
+ */
+function getExitPoint(point, dir, boxes) {
+  let reach = 0;
+  boxes.forEach((box) => {
+    if (
+      point.x < box.x ||
+      point.x > box.x + box.width ||
+      point.y < box.y ||
+      point.y > box.y + box.height
+    ) {
+      return;
+    }
+    const exit =
+      dir.x > 0
+        ? box.x + box.width - point.x
+        : dir.x < 0
+        ? point.x - box.x
+        : dir.y > 0
+        ? box.y + box.height - point.y
+        : point.y - box.y;
+    reach = Math.max(reach, exit);
+  });
+  return {
+    x: point.x + dir.x * (reach + ROUTE_MARGIN),
+    y: point.y + dir.y * (reach + ROUTE_MARGIN),
+  };
+}
+
+function isInsideBox(x, y, box) {
+  return (
+    x > box.x && x < box.x + box.width && y > box.y && y < box.y + box.height
+  );
+}
+
+/**
+ * @returns {boolean} True when the axis-aligned segment a-b passes through
+ *   the inside of the box.
+ */
+function segmentHitsBox(a, b, box) {
+  if (a.y === b.y) {
+    return (
+      a.y > box.y &&
+      a.y < box.y + box.height &&
+      Math.max(a.x, b.x) > box.x &&
+      Math.min(a.x, b.x) < box.x + box.width
+    );
+  }
+  return (
+    a.x > box.x &&
+    a.x < box.x + box.width &&
+    Math.max(a.y, b.y) > box.y &&
+    Math.min(a.y, b.y) < box.y + box.height
+  );
+}
+
+function getStepIndex(dir) {
+  if (dir.x > 0) return 0;
+  if (dir.x < 0) return 1;
+  return dir.y > 0 ? 2 : 3;
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function moveTowards(from, to, length) {
+  const d = distance(from, to);
+  return {
+    x: from.x + ((to.x - from.x) * length) / d,
+    y: from.y + ((to.y - from.y) * length) / d,
+  };
+}
+
+// --- Binary heap keyed on `cost` ---
+
+function pushHeap(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].cost <= heap[i].cost) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function popHeap(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].cost < heap[smallest].cost) {
+        smallest = left;
+      }
+      if (right < heap.length && heap[right].cost < heap[smallest].cost) {
+        smallest = right;
+      }
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
@@ -5,17 +5,62 @@ import {
   createPath,
   measureText,
   wrapText,
+  measureRichLine,
+  wrapRichText,
+  createRichText,
   createCommonDefs,
+  createLinkGroup,
 } from "./svg.js";
+import { resolveStyle, getShapeStyle, getTextStyle } from "./style.js";
 
 const PARTICIPANT_WIDTH = 120;
 const PARTICIPANT_HEIGHT = 40;
+const ICON_SIZE = 24; // Actor, boundary, control and entity icons
+const ICON_KINDS = ["actor", "boundary", "control", "entity"];
 const LIFELINE_Y_START = 80;
-const MESSAGE_HEIGHT = 60; // Vertical space for each message
+const MESSAGE_PADDING = 30; // Space above a message row's label
+const MESSAGE_LABEL_MAX_WIDTH = 250; // Longer labels wrap
+const PARTICIPANT_GAP = 40; // Minimum space between participant headers
+const LABEL_CLEARANCE = 20; // Between a message label and a lifeline
 const HORIZONTAL_MARGIN = 50; // Margin from the edges of the SVG
 const LIFELINE_OFFSET = 20; // How far the lifeline goes below the last message
+const SELF_MESSAGE_WIDTH = 40; // How far a self-message loop reaches right
+const SELF_MESSAGE_HEIGHT = 30; // Minimum drop of a self-message loop
+const SELF_MESSAGE_LABEL_GAP = 8; // Between the loop and its label
+const LOST_FOUND_LENGTH = 80; // Length of lost and found messages
+const ENDPOINT_RADIUS = 4; // Dot at the open end of lost and found messages
+const DESTROY_MARK_SIZE = 10; // Half the width of the X ending a lifeline
+const ACTIVATION_WIDTH = 10; // Width of an activation bar
+const FRAGMENT_GAP = 20; // Space above, below and between fragment operands
+const FRAGMENT_INSET = 10; // How far a frame reaches past what it contains
+const FRAGMENT_TAB_WIDTH = 60; // Tab holding the fragment operator
+const FRAGMENT_TAB_HEIGHT = 20;
+const NOTE_MAX_WIDTH = 160; // Notes wrap their text at this width
+const NOTE_MIN_WIDTH = 60;
+const NOTE_PADDING = 8; // Between a note's border and its text
+const NOTE_FOLD_SIZE = 10; // Folded top right corner of a note
+const NOTE_OFFSET = 10; // Between a side note and its lifeline
+const NOTE_GAP = 15; // Space above a note
+const DIVIDER_GAP = 25; // Space above a divider
+const DIVIDER_HEIGHT = 20; // Box around a divider's label
+const DIVIDER_PADDING = 10;
+const DELAY_GAP = 15; // Space above a delay
+const DELAY_HEIGHT = 40; // Length of the dotted gap
+
 const FONT_SIZE = 14;
 const FONT_FAMILY = "sans-serif"; // Must match CSS
+const NOTE_FONT_SIZE = FONT_SIZE * 0.85;
+
+// Line class and arrowhead marker for each message "kind"
+const MESSAGE_KINDS = {
+  sync: { className: "message-line", marker: "arrowhead" },
+  async: { className: "message-line", marker: "openArrowhead" },
+  reply: { className: "message-line reply", marker: "replyArrowhead" },
+  create: { className: "message-line create", marker: "openArrowhead" },
+  destroy: { className: "message-line", marker: "arrowhead" },
+  lost: { className: "message-line", marker: "arrowhead" },
+  found: { className: "message-line", marker: "arrowhead" },
+};
 
 export function renderSequence(data, svgContainer) {
   if (!data.participants || !data.messages) {
@@ -28,7 +73,9 @@ export function renderSequence(data, svgContainer) {
   svgContainer.innerHTML = "";
   createCommonDefs(svgContainer);
 
-  const participants = data.participants;
+  const participants = data.participants.map((p) =>
+    getParticipant(p, data.classes)
+  );
   const messages = data.messages;
 
   const numParticipants = participants.length;
@@ -36,128 +83,427 @@ export function renderSequence(data, svgContainer) {
     return { success: true, svgElement: svgContainer, viewBox: "0 0 100 100" };
   }
 
-  // Calculate total width needed
-  const participantSpacing = Math.max(
-    PARTICIPANT_WIDTH + 80,
-    (numParticipants > 1 ? 500 : 0) / (numParticipants - 1 || 1)
-  );
-  const totalContentWidth =
-    numParticipants * PARTICIPANT_WIDTH +
-    (numParticipants - 1) * participantSpacing;
-  const svgWidth = totalContentWidth + HORIZONTAL_MARGIN * 2;
+  // Label of each message, with its step number when numbered
+  const labels = getMessageLabels(messages, getNumbering(data.autonumber));
+  const noteSizes = new Map();
+  flattenMessages(messages)
+    .filter(isNote)
+    .forEach((note) => noteSizes.set(note, getNoteSize(note)));
+
+  // Distance between neighbouring lifelines: room for the headers, widened
+  // where message labels or side notes need more
+  const gaps = participants
+    .slice(1)
+    .map(() => PARTICIPANT_WIDTH + PARTICIPANT_GAP);
+  let currentX = HORIZONTAL_MARGIN + PARTICIPANT_WIDTH / 2; // Start from left margin
+  getColumnSpans(participants, labels, noteSizes).forEach((span) => {
+    if (span.from < 0) {
+      // Left notes on the first participant push all lifelines right
+      currentX = Math.max(currentX, HORIZONTAL_MARGIN + span.room);
+      return;
+    }
+    const current = gaps
+      .slice(span.from, span.to)
+      .reduce((sum, gap) => sum + gap, 0);
+    for (let k = span.from; k < span.to; k++) {
+      gaps[k] += Math.max(0, span.room - current) / (span.to - span.from);
+    }
+  });
 
   // Calculate participant X positions
   const participantX = new Map();
-  let currentX = HORIZONTAL_MARGIN + PARTICIPANT_WIDTH / 2; // Start from left margin
   for (let i = 0; i < numParticipants; i++) {
-    participantX.set(participants[i], { __lifelineEl: null, x: currentX });
-    currentX += PARTICIPANT_WIDTH + participantSpacing;
+    participantX.set(participants[i].id, {
+      __lifelineEl: null,
+      x: currentX,
+      activations: [], // Start y of each open activation, outermost first
+    });
+    currentX += gaps[i] || 0;
   }
+  const lastX = currentX; // Lifeline of the rightmost participant
+  let svgWidth = lastX + PARTICIPANT_WIDTH / 2 + HORIZONTAL_MARGIN;
 
   let currentY = LIFELINE_Y_START;
   let maxMessageY = LIFELINE_Y_START;
 
+  // Participants created by a message get their header at that message
+  const createdBy = new Map();
+  flattenMessages(messages).forEach((msg) => {
+    if (msg.kind === "create" && !createdBy.has(msg.to)) {
+      createdBy.set(msg.to, msg);
+    }
+  });
+
   // Draw participants and lifelines
   participants.forEach((p) => {
-    const x = participantX.get(p).x;
-    // Participant header (rounded rectangle)
-    svgContainer.appendChild(
+    const x = participantX.get(p.id).x;
+    if (!createdBy.has(p.id)) {
+      drawParticipantHeader(svgContainer, p, x, 10);
+    }
+
+    // Lifeline (will extend later based on messages)
+    // Store lifeline element to extend its height later
+    const lifeline = createSVGElement("line", {
+      x1: x,
+      y1: LIFELINE_Y_START,
+      x2: x,
+      y2: LIFELINE_Y_START, // Initial y2, will be updated
+      className: "lifeline",
+    });
+    svgContainer.appendChild(lifeline);
+    participantX.get(p.id).__lifelineEl = lifeline; // Store reference
+    participantX.get(p.id).participant = p;
+  });
+
+  // Activation bars and then fragment frames sit above the lifelines and
+  // below the messages
+  const activationGroup = createSVGElement("g", { className: "activations" });
+  svgContainer.appendChild(activationGroup);
+  const fragmentGroup = createSVGElement("g", { className: "fragments" });
+  svgContainer.appendChild(fragmentGroup);
+
+  const delays = []; // Gaps {top, bottom} where lifelines are dotted
+
+  // Draws a list of messages, fragments and other entries, top to bottom
+  const drawItems = (items) => {
+    items.forEach((item) => {
+      if (isFragment(item)) drawFragment(item);
+      else if (isNote(item)) drawNote(item);
+      else if (item.divider !== undefined) drawDivider(item);
+      else if (item.delay !== undefined) drawDelay(item);
+      else drawMessage(item);
+    });
+  };
+
+  // Draws a full-width separator with its label in a box
+  const drawDivider = (divider) => {
+    const y = currentY + DIVIDER_GAP;
+    const left = participantX.get(participants[0].id).x - PARTICIPANT_WIDTH / 2;
+    const right = lastX + PARTICIPANT_WIDTH / 2;
+    const group = createSVGElement("g", { className: "divider" });
+    group.appendChild(
+      createPath(
+        `M ${left},${y - 1.5} H ${right} M ${left},${y + 1.5} H ${right}`,
+        { className: "divider-line" }
+      )
+    );
+    const fontSize = FONT_SIZE * 0.85;
+    const width =
+      measureText(divider.divider, fontSize, FONT_FAMILY, "bold") +
+      DIVIDER_PADDING * 2;
+    group.appendChild(
       createSVGElement("rect", {
-        x: x - PARTICIPANT_WIDTH / 2,
-        y: 10,
-        width: PARTICIPANT_WIDTH,
-        height: PARTICIPANT_HEIGHT,
-        rx: 8,
-        ry: 8,
-        className: "participant-header",
+        x: (left + right) / 2 - width / 2,
+        y: y - DIVIDER_HEIGHT / 2,
+        width,
+        height: DIVIDER_HEIGHT,
+        className: "divider-box",
       })
     );
-    // Participant name text
-    const wrappedLines = wrapText(
-      p,
-      PARTICIPANT_WIDTH - 20,
-      FONT_SIZE,
-      FONT_FAMILY
+    group.appendChild(
+      createText(divider.divider, (left + right) / 2, y, {
+        className: "divider-label",
+        "text-anchor": "middle",
+        "dominant-baseline": "middle",
+        "font-size": fontSize,
+        "font-family": FONT_FAMILY,
+      })
     );
-    const textY =
-      10 +
-      PARTICIPANT_HEIGHT / 2 -
-      ((wrappedLines.length - 1) * FONT_SIZE * 0.6) / 2;
-    svgContainer.appendChild(
+    svgContainer.appendChild(group);
+    currentY = y;
+    maxMessageY = Math.max(maxMessageY, currentY);
+  };
+
+  // Leaves a gap in which the lifelines are dotted, with an optional label
+  const drawDelay = (delay) => {
+    const top = currentY + DELAY_GAP;
+    const bottom = top + DELAY_HEIGHT;
+    delays.push({ top, bottom });
+    if (typeof delay.delay === "string") {
+      const left = participantX.get(participants[0].id).x;
+      svgContainer.appendChild(
+        createText(delay.delay, (left + lastX) / 2, (top + bottom) / 2, {
+          className: "delay-label",
+          "text-anchor": "middle",
+          "dominant-baseline": "middle",
+          "font-size": FONT_SIZE * 0.85,
+          "font-family": FONT_FAMILY,
+        })
+      );
+    }
+    currentY = bottom;
+    maxMessageY = Math.max(maxMessageY, currentY);
+  };
+
+  // Draws a fragment's operands, then frames them once their height is known
+  const drawFragment = (fragment) => {
+    const frameTop = currentY + FRAGMENT_GAP;
+    // Fragments without messages span all participants
+    const { left, right } = getFragmentSpan(
+      fragment,
+      participantX,
+      noteSizes
+    ) || {
+      left: participantX.get(participants[0].id).x - PARTICIPANT_WIDTH / 2,
+      right: lastX + PARTICIPANT_WIDTH / 2,
+    };
+    const frame = createSVGElement("g", { className: "fragment" });
+    fragmentGroup.appendChild(frame);
+
+    currentY = frameTop;
+    getBranches(fragment).forEach((branch, b) => {
+      if (b > 0) {
+        // Operands are separated by dashed lines
+        currentY += FRAGMENT_GAP;
+        frame.appendChild(
+          createPath(`M ${left},${currentY} H ${right}`, {
+            className: "fragment-separator",
+          })
+        );
+      }
+      if (branch.guard) {
+        frame.appendChild(
+          createText(
+            `[${branch.guard}]`,
+            left + (b === 0 ? FRAGMENT_TAB_WIDTH : 0) + FRAGMENT_INSET,
+            currentY + FRAGMENT_TAB_HEIGHT / 2,
+            {
+              className: "fragment-guard",
+              "dominant-baseline": "middle",
+              "font-size": FONT_SIZE * 0.85,
+              "font-family": FONT_FAMILY,
+            }
+          )
+        );
+      }
+      drawItems(branch.messages);
+    });
+    currentY += FRAGMENT_GAP;
+
+    // Frame with the operator in a tab at its top left corner
+    frame.insertBefore(
+      createSVGElement("rect", {
+        x: left,
+        y: frameTop,
+        width: right - left,
+        height: currentY - frameTop,
+        className: "fragment-frame",
+      }),
+      frame.firstChild
+    );
+    const tabRight = left + FRAGMENT_TAB_WIDTH;
+    const tabBottom = frameTop + FRAGMENT_TAB_HEIGHT;
+    frame.appendChild(
+      createPath(
+        `M ${left},${frameTop} H ${tabRight} V ${tabBottom - 6} ` +
+          `L ${tabRight - 6},${tabBottom} H ${left} Z`,
+        { className: "fragment-tab" }
+      )
+    );
+    frame.appendChild(
       createText(
-        p,
-        x,
-        textY,
+        fragment.fragment,
+        left + FRAGMENT_TAB_WIDTH / 2,
+        frameTop + FRAGMENT_TAB_HEIGHT / 2,
         {
+          className: "fragment-label",
           "text-anchor": "middle",
           "dominant-baseline": "middle",
-          "font-size": FONT_SIZE,
+          "font-size": FONT_SIZE * 0.85,
+          "font-family": FONT_FAMILY,
+        }
+      )
+    );
+    maxMessageY = Math.max(maxMessageY, currentY);
+  };
+
+  // Draws a note beside, or over, the participants it is attached to
+  const drawNote = (note) => {
+    const { lines, width, height } = noteSizes.get(note);
+    const entries = getNoteParticipants(note).map((id) => participantX.get(id));
+    const position = note.position || "over";
+    let noteWidth = width;
+    let left;
+    if (position === "left") {
+      left = getActivationEdge(entries[0], -1) - NOTE_OFFSET - width;
+    } else if (position === "right") {
+      left = getActivationEdge(entries[0], 1) + NOTE_OFFSET;
+    } else {
+      // Over several participants the note reaches past the outer lifelines
+      const xs = entries.map((entry) => entry.x);
+      const minX = Math.min(...xs);
+      const maxX = Math.max(...xs);
+      if (entries.length > 1) {
+        noteWidth = Math.max(width, maxX - minX + NOTE_OFFSET * 2);
+      }
+      left = (minX + maxX) / 2 - noteWidth / 2;
+    }
+    const top = currentY + NOTE_GAP;
+
+    const noteGroup = createSVGElement("g", { className: "note" });
+    const fold = top + NOTE_FOLD_SIZE;
+    const foldX = left + noteWidth - NOTE_FOLD_SIZE;
+    noteGroup.appendChild(
+      createPath(
+        `M ${left},${top} H ${foldX} L ${left + noteWidth},${fold} ` +
+          `V ${top + height} H ${left} Z`,
+        { className: "note-shape" }
+      )
+    );
+    noteGroup.appendChild(
+      createPath(`M ${foldX},${top} V ${fold} H ${left + noteWidth}`, {
+        className: "note-fold",
+      })
+    );
+    noteGroup.appendChild(
+      createRichText(
+        left + NOTE_PADDING,
+        top + NOTE_PADDING,
+        {
+          className: "note-text",
+          "dominant-baseline": "hanging",
+          "font-size": NOTE_FONT_SIZE,
           "font-family": FONT_FAMILY,
         },
-        wrappedLines
+        lines
       )
     );
+    svgContainer.appendChild(noteGroup);
 
-    // Lifeline (will extend later based on messages)
-    // Store lifeline element to extend its height later
-    const lifeline = createSVGElement("line", {
-      x1: x,
-      y1: LIFELINE_Y_START,
-      x2: x,
-      y2: LIFELINE_Y_START, // Initial y2, will be updated
-      className: "lifeline",
-    });
-    svgContainer.appendChild(lifeline);
-    participantX.get(p).__lifelineEl = lifeline; // Store reference
-  });
+    currentY = top + height;
+    svgWidth = Math.max(svgWidth, left + noteWidth + HORIZONTAL_MARGIN);
+    maxMessageY = Math.max(maxMessageY, currentY);
+  };
 
-  // Draw messages
-  messages.forEach((msg) => {
-    const fromX = participantX.get(msg.from).x;
-    const toX = participantX.get(msg.to).x;
+  const drawMessage = (msg) => {
+    const kind = getMessageKind(msg);
+    const from = participantX.get(msg.from);
+    const to = participantX.get(msg.to);
 
-    if (!fromX || !toX) {
+    // Lost messages have no receiver and found messages no sender
+    if ((!from && kind !== "found") || (!to && kind !== "lost")) {
       console.warn(
         `Participant not found for message: ${msg.from} -> ${msg.to}`
       );
       return;
     }
 
-    currentY += MESSAGE_HEIGHT; // Increment Y for each new message
-
-    const isReply = msg.text.match(/^\d{3}\s/); // Check if text starts with 3 digits and a space (e.g., "200 OK")
-    const marker = isReply ? "url(#replyArrowhead)" : "url(#arrowhead)";
-    const className = `message-line ${isReply ? "reply" : ""}`;
+    const text = labels.get(msg);
+    const lineAttributes = {
+      className: MESSAGE_KINDS[kind].className,
+      "marker-end": `url(#${MESSAGE_KINDS[kind].marker})`,
+    };
 
-    const pathData = `M ${fromX},${currentY} L ${toX},${currentY}`;
-    svgContainer.appendChild(
-      createPath(pathData, {
-        className: className,
-        "marker-end": marker,
-      })
-    );
+    if (from && from === to) {
+      currentY += MESSAGE_PADDING; // The label is beside the loop
+      // The loop leaves the current activation and, when it activates,
+      // returns into a new one nested on top
+      const startX = getActivationEdge(from, 1);
+      if (msg.deactivate) endActivation(activationGroup, from, currentY);
+      const depth = from.activations.length + (msg.activate ? 1 : 0);
+      const loop = drawSelfMessage(
+        svgContainer,
+        msg,
+        startX,
+        getActivationEdge(from, 1, depth),
+        currentY,
+        lineAttributes,
+        { text, maxLabelWidth: MESSAGE_LABEL_MAX_WIDTH }
+      );
+      currentY = loop.bottom; // The next message starts below the loop
+      if (msg.activate) from.activations.push(currentY);
+      if (kind === "destroy") {
+        destroyLifeline(svgContainer, activationGroup, from, currentY);
+      }
+      svgWidth = Math.max(svgWidth, loop.right + HORIZONTAL_MARGIN);
+      maxMessageY = Math.max(maxMessageY, currentY);
+      return;
+    }
 
-    // Message label
-    const labelX = (fromX + toX) / 2;
-    const labelY = currentY - 8; // Slightly above the arrow
+    // Lost messages stop short of their receiver and found messages start
+    // short of their sender. Without one they run rightwards, unless that
+    // would leave the diagram at the first or last lifeline.
+    let dir = 1;
+    if (from && to) {
+      dir = Math.sign(to.x - from.x);
+    } else if (numParticipants > 1) {
+      const edge = kind === "lost" ? numParticipants - 1 : 0;
+      if ((from || to) === participantX.get(participants[edge].id)) dir = -1;
+    }
+    // Arrows run between the edges of the innermost activation bars. The
+    // sender's bar ends and the receiver's starts at the arrow. Create
+    // messages end at the header of the new participant.
+    let fromX =
+      kind === "found"
+        ? to.x - dir * LOST_FOUND_LENGTH
+        : getActivationEdge(from, dir);
+    let toX;
+    if (kind === "lost") {
+      toX = fromX + dir * LOST_FOUND_LENGTH;
+    } else if (kind === "create") {
+      toX = to.x - (dir * getHeaderSize(to.participant).width) / 2;
+    } else {
+      const depth = to.activations.length + (msg.activate ? 1 : 0);
+      toX = getActivationEdge(to, -dir, depth);
+    }
 
-    const textWidthEstimate = Math.abs(fromX - toX) - 20; // Max width for message text
-    const wrappedLines = wrapText(
-      msg.text,
+    // The row is as tall as the label above the arrow
+    const fontSize = FONT_SIZE * 0.85;
+    const lineHeight = fontSize * 1.2;
+    const textWidthEstimate =
+      Math.max(
+        Math.abs(fromX - toX),
+        kind === "lost" || kind === "found" ? MESSAGE_LABEL_MAX_WIDTH : 0
+      ) - 20; // Max width for message text
+    const wrappedLines = wrapRichText(
+      text,
       textWidthEstimate,
-      FONT_SIZE * 0.85,
+      fontSize,
       FONT_FAMILY
     );
-    svgContainer.appendChild(
-      createText(
-        msg.text,
-        labelX,
-        labelY,
+    currentY += wrappedLines.length * lineHeight + MESSAGE_PADDING;
+
+    if (msg.deactivate && from) endActivation(activationGroup, from, currentY);
+    const messageGroup = createLinkGroup(svgContainer, msg);
+
+    if (kind === "create") {
+      const top = currentY - getHeaderSize(to.participant).height / 2;
+      drawParticipantHeader(svgContainer, to.participant, to.x, top);
+      to.__lifelineEl.setAttribute("y1", top + PARTICIPANT_HEIGHT);
+      if (msg.activate) to.activations.push(top + PARTICIPANT_HEIGHT);
+    } else if (kind !== "lost" && msg.activate) {
+      to.activations.push(currentY);
+    }
+    if (kind === "lost" || kind === "found") {
+      const dotX = kind === "lost" ? toX : fromX;
+      messageGroup.appendChild(
+        createSVGElement("circle", {
+          cx: dotX,
+          cy: currentY,
+          r: ENDPOINT_RADIUS,
+          className: "message-endpoint",
+        })
+      );
+      if (kind === "lost") toX -= dir * ENDPOINT_RADIUS;
+      else fromX += dir * ENDPOINT_RADIUS;
+    }
+
+    const pathData = `M ${fromX},${currentY} L ${toX},${currentY}`;
+    messageGroup.appendChild(createPath(pathData, lineAttributes));
+    if (kind === "destroy") {
+      destroyLifeline(svgContainer, activationGroup, to, currentY);
+    }
+
+    // Message label, its last line slightly above the arrow
+    messageGroup.appendChild(
+      createRichText(
+        (fromX + toX) / 2,
+        currentY - 8 - (wrappedLines.length - 1) * lineHeight,
         {
           className: "message-label",
           "text-anchor": "middle",
-          "dominant-baseline": "auto", // Default baseline is fine for single line, tspan handles multiline
-          "font-size": FONT_SIZE * 0.85,
+          "dominant-baseline": "auto",
+          "font-size": fontSize,
           "font-family": FONT_FAMILY,
         },
         wrappedLines
@@ -165,19 +511,665 @@ export function renderSequence(data, svgContainer) {
     );
 
     maxMessageY = Math.max(maxMessageY, currentY);
-  });
+  };
 
-  // Extend lifelines to the lowest message Y plus offset
+  drawItems(messages);
+
+  // Extend lifelines to the lowest message Y plus offset, closing any
+  // activations still open just above their ends, and repeat the headers
+  // below them
+  const footerTop = maxMessageY + LIFELINE_OFFSET;
   participants.forEach((p) => {
-    const lifelineEl = participantX.get(p).__lifelineEl;
-    if (lifelineEl) {
-      lifelineEl.setAttribute("y2", maxMessageY + LIFELINE_OFFSET);
+    const entry = participantX.get(p.id);
+    while (entry.activations.length > 0) {
+      endActivation(activationGroup, entry, maxMessageY + LIFELINE_OFFSET / 2);
+    }
+    const lifelineEl = entry.__lifelineEl;
+    if (lifelineEl && participantX.get(p.id).destroyed === undefined) {
+      lifelineEl.setAttribute("y2", footerTop);
+      drawParticipantHeader(svgContainer, p, entry.x, footerTop);
     }
+    if (lifelineEl) dotLifeline(lifelineEl, delays);
   });
 
-  const svgHeight = maxMessageY + LIFELINE_OFFSET + 30; // Additional padding at bottom
+  const svgHeight = footerTop + PARTICIPANT_HEIGHT + 30; // Additional padding at bottom
 
   const viewBox = `0 0 ${svgWidth} ${svgHeight}`;
 
   return { success: true, svgElement: svgContainer, viewBox };
 }
+
+/**
+ * Label text of every message, prefixed with its step number when
+ * numbering is on. Each list of steps has its own counter; with nested
+ * numbering a fragment takes a step and numbers its messages below it.
+ * @param {object[]} items - A "messages" list.
+ * @param {object|null} numbering - From getNumbering.
+ * @param {{prefix: number[], next: number}} [counter]
+ * @param {Map} [labels]
+ * @returns {Map<object, string>} Label by message.
+ */
+function getMessageLabels(
+  items,
+  numbering,
+  counter = { prefix: [], next: numbering ? numbering.start : 1 },
+  labels = new Map()
+) {
+  items.forEach((item) => {
+    if (isFragment(item)) {
+      const inner =
+        numbering && numbering.nested
+          ? { prefix: [...counter.prefix, counter.next++], next: 1 }
+          : counter;
+      getBranches(item).forEach((branch) =>
+        getMessageLabels(branch.messages, numbering, inner, labels)
+      );
+    } else if (isMessage(item)) {
+      const steps = [...counter.prefix, counter.next++];
+      labels.set(
+        item,
+        numbering
+          ? `${formatStepNumber(numbering.format, steps)} ${item.text}`
+          : item.text
+      );
+    }
+  });
+  return labels;
+}
+
+/**
+ * Room needed between lifelines, as spans {from, to, room} over the gaps
+ * from participant index "from" to "to". Labels ask for their unwrapped
+ * width up to MESSAGE_LABEL_MAX_WIDTH; self-message labels and side notes
+ * need it beside their lifeline. A span with from -1 asks for room left of
+ * the first lifeline.
+ * @param {object[]} participants - From getParticipant.
+ * @param {Map<object, string>} labels - From getMessageLabels.
+ * @param {Map} noteSizes - Sizes of notes from getNoteSize.
+ * @returns {{from: number, to: number, room: number}[]} Narrowest first.
+ */
+function getColumnSpans(participants, labels, noteSizes) {
+  const indexOf = new Map(participants.map((p, i) => [p.id, i]));
+  const last = participants.length - 1;
+  const spans = [];
+  labels.forEach((text, msg) => {
+    const i = indexOf.get(msg.from);
+    const j = indexOf.get(msg.to);
+    if (i === undefined || j === undefined) return; // Lost and found
+    const width = Math.min(measureLabelWidth(text), MESSAGE_LABEL_MAX_WIDTH);
+    if (i !== j) {
+      spans.push({
+        from: Math.min(i, j),
+        to: Math.max(i, j),
+        room: width + LABEL_CLEARANCE + ACTIVATION_WIDTH * 2,
+      });
+    } else if (i < last) {
+      spans.push({
+        from: i,
+        to: i + 1,
+        room:
+          ACTIVATION_WIDTH +
+          SELF_MESSAGE_WIDTH +
+          SELF_MESSAGE_LABEL_GAP +
+          width +
+          LABEL_CLEARANCE,
+      });
+    }
+  });
+  noteSizes.forEach((size, note) => {
+    const i = indexOf.get(getNoteParticipants(note)[0]);
+    const room = size.width + NOTE_OFFSET * 2 + ACTIVATION_WIDTH;
+    if (note.position === "right" && i < last) {
+      spans.push({ from: i, to: i + 1, room });
+    } else if (note.position === "left") {
+      spans.push({ from: i - 1, to: i, room });
+    }
+  });
+  return spans.sort((a, b) => a.to - a.from - (b.to - b.from));
+}
+
+/**
+ * Width of a label's longest line, breaking only at hard line breaks.
+ * @param {string} text
+ * @returns {number}
+ */
+function measureLabelWidth(text) {
+  const fontSize = FONT_SIZE * 0.85;
+  return Math.max(
+    ...wrapRichText(text, Infinity, fontSize, FONT_FAMILY).map((line) =>
+      measureRichLine(line, fontSize, FONT_FAMILY)
+    )
+  );
+}
+
+/**
+ * Reads the "autonumber" option: true, a start number, or
+ * {start, format}. Formats are templates such as "1", "[01]" or "1.1"; the
+ * digits give the minimum width, and a dotted pair numbers the messages in
+ * fragments below the fragment's own step.
+ * @param {boolean|number|object} [autonumber]
+ * @returns {{start: number, format: string, nested: boolean}|null}
+ */
+function getNumbering(autonumber) {
+  if (!autonumber && autonumber !== 0) return null;
+  const options =
+    typeof autonumber === "object" ? autonumber : { start: autonumber };
+  const format = options.format || "1";
+  return {
+    start: typeof options.start === "number" ? options.start : 1,
+    format,
+    nested: /\d\.\d/.test(format),
+  };
+}
+
+/**
+ * Formats a message number, e.g. steps [2, 1] in "1.1" gives "2.1" and
+ * [7] in "[01]" gives "[07]".
+ * @param {string} format
+ * @param {number[]} steps - Step numbers from the outermost level.
+ * @returns {string}
+ */
+function formatStepNumber(format, steps) {
+  return format.replace(/\d+(?:\.\d+)*/, (digits) => {
+    const width = digits.split(".")[0].length;
+    return steps.map((step) => String(step).padStart(width, "0")).join(".");
+  });
+}
+
+/**
+ * Splits a lifeline around delays, bridging each gap with a dotted line.
+ * @param {SVGElement} lifelineEl
+ * @param {{top: number, bottom: number}[]} delays - In drawing order.
+ */
+function dotLifeline(lifelineEl, delays) {
+  const start = Number(lifelineEl.getAttribute("y1"));
+  const end = Number(lifelineEl.getAttribute("y2"));
+  let segment = lifelineEl;
+  delays
+    .filter(({ top, bottom }) => top > start && bottom < end)
+    .forEach(({ top, bottom }) => {
+      segment.setAttribute("y2", top);
+      const gap = lifelineEl.cloneNode();
+      gap.setAttribute("y1", top);
+      gap.setAttribute("y2", bottom);
+      gap.setAttribute("class", "lifeline delay");
+      segment.after(gap);
+      segment = lifelineEl.cloneNode();
+      segment.setAttribute("y1", bottom);
+      segment.setAttribute("y2", end);
+      gap.after(segment);
+    });
+}
+
+/**
+ * Message kind from the "kind" field. Without one, texts starting with a
+ * status code (e.g. "200 OK") are taken as replies.
+ * @param {object} msg
+ * @returns {string} A key of MESSAGE_KINDS.
+ */
+function getMessageKind(msg) {
+  if (msg.kind) return msg.kind;
+  return /^\d{3}\s/.test(msg.text) ? "reply" : "sync";
+}
+
+/**
+ * Draws a participant header, or footer, with its label. Boxes hold the
+ * label; the actor, boundary, control and entity icons have it below them.
+ * @param {SVGElement} svgContainer
+ * @param {object} p - Participant from getParticipant.
+ * @param {number} x - Lifeline position.
+ * @param {number} top
+ */
+function drawParticipantHeader(svgContainer, p, x, top) {
+  const header = createLinkGroup(svgContainer, p);
+  const isIcon = ICON_KINDS.includes(p.kind);
+  header.appendChild(
+    createParticipantShape(p.kind, x, top, {
+      className: isIcon ? "participant-icon" : "participant-header",
+      ...getShapeStyle(p.style),
+    })
+  );
+  // Participant name text
+  const wrappedLines = wrapText(
+    p.label,
+    PARTICIPANT_WIDTH - 20,
+    FONT_SIZE,
+    FONT_FAMILY,
+    p.style.fontWeight
+  );
+  const textY = isIcon
+    ? top + ICON_SIZE + FONT_SIZE / 2
+    : top +
+      PARTICIPANT_HEIGHT / 2 -
+      ((wrappedLines.length - 1) * FONT_SIZE * 0.6) / 2;
+  header.appendChild(
+    createText(
+      p.label,
+      x,
+      textY,
+      {
+        "text-anchor": "middle",
+        "dominant-baseline": "middle",
+        "font-size": FONT_SIZE,
+        "font-family": FONT_FAMILY,
+        ...getTextStyle(p.style),
+      },
+      wrappedLines
+    )
+  );
+}
+
+/**
+ * Outline of a participant header for its kind: a box of PARTICIPANT_WIDTH
+ * by PARTICIPANT_HEIGHT, or an icon of ICON_SIZE centred on the lifeline.
+ * @param {string} kind
+ * @param {number} x - Lifeline position.
+ * @param {number} top
+ * @param {object} attributes - Class and style for the outline.
+ * @returns {SVGElement}
+ */
+function createParticipantShape(kind, x, top, attributes) {
+  const left = x - PARTICIPANT_WIDTH / 2;
+  const right = x + PARTICIPANT_WIDTH / 2;
+  const bottom = top + PARTICIPANT_HEIGHT;
+  const r = ICON_SIZE / 2 - 1; // Radius of the round icons
+  const cy = top + ICON_SIZE / 2;
+  switch (kind) {
+    case "actor":
+      return createPath(
+        getCirclePath(x, top + 4, 4) + // Head
+          `M ${x},${top + 8} V ${top + 16} ` + // Body
+          `M ${x - 7},${top + 11} H ${x + 7} ` + // Arms
+          `M ${x},${top + 16} L ${x - 6},${top + 23} ` + // Legs
+          `M ${x},${top + 16} L ${x + 6},${top + 23}`,
+        attributes
+      );
+    case "boundary":
+      return createPath(
+        `M ${x - r - 6},${top + 1} V ${top + ICON_SIZE - 1} ` +
+          `M ${x - r - 6},${cy} H ${x - r} ` +
+          getCirclePath(x, cy, r),
+        attributes
+      );
+    case "control":
+      return createPath(
+        getCirclePath(x, cy, r) +
+          `M ${x + 4},${top - 3} L ${x - 1},${top + 1} L ${x + 4},${top + 5}`, // Arrowhead
+        attributes
+      );
+    case "entity":
+      return createPath(
+        getCirclePath(x, cy, r) + `M ${x - r},${top + ICON_SIZE} H ${x + r}`, // Underline
+        attributes
+      );
+    case "database": {
+      // Cylinder standing up, its top face drawn as an ellipse
+      const rx = PARTICIPANT_WIDTH / 2;
+      const ry = 6;
+      return createPath(
+        `M ${left},${top + ry} A ${rx},${ry} 0 0 1 ${right},${top + ry} ` +
+          `V ${bottom - ry} A ${rx},${ry} 0 0 1 ${left},${bottom - ry} Z ` +
+          `M ${left},${top + ry} A ${rx},${ry} 0 0 0 ${right},${top + ry}`,
+        attributes
+      );
+    }
+    case "queue": {
+      // Cylinder lying on its side, its right face drawn as an ellipse
+      const rx = 6;
+      const ry = PARTICIPANT_HEIGHT / 2;
+      const end = right - rx;
+      return createPath(
+        `M ${left + rx},${top} H ${end} A ${rx},${ry} 0 0 1 ${end},${bottom} ` +
+          `H ${left + rx} A ${rx},${ry} 0 0 1 ${left + rx},${top} Z ` +
+          `M ${end},${top} A ${rx},${ry} 0 0 0 ${end},${bottom}`,
+        attributes
+      );
+    }
+    case "collections": {
+      // A box with another one peeking out behind it
+      const offset = 4;
+      return createPath(
+        `M ${left + offset},${top} V ${top - offset} H ${right + offset} ` +
+          `V ${bottom - offset} H ${right} ` +
+          `M ${left},${top} H ${right} V ${bottom} H ${left} Z`,
+        attributes
+      );
+    }
+    default:
+      return createSVGElement("rect", {
+        x: left,
+        y: top,
+        width: PARTICIPANT_WIDTH,
+        height: PARTICIPANT_HEIGHT,
+        rx: 8,
+        ry: 8,
+        ...attributes,
+      });
+  }
+}
+
+/**
+ * Path data for a circle, so it can share a path with other strokes.
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} r
+ * @returns {string}
+ */
+function getCirclePath(cx, cy, r) {
+  return (
+    `M ${cx - r},${cy} A ${r},${r} 0 1 0 ${cx + r},${cy} ` +
+    `A ${r},${r} 0 1 0 ${cx - r},${cy} Z `
+  );
+}
+
+/**
+ * Size of a participant's header box or icon, which create messages point
+ * at.
+ * @param {object} p - Participant from getParticipant.
+ * @returns {{width: number, height: number}}
+ */
+function getHeaderSize(p) {
+  return ICON_KINDS.includes(p.kind)
+    ? { width: ICON_SIZE, height: ICON_SIZE }
+    : { width: PARTICIPANT_WIDTH, height: PARTICIPANT_HEIGHT };
+}
+
+/**
+ * X position where messages meet a participant's activation bars, or its
+ * lifeline when it is not active. Nested bars are shifted right by half a
+ * bar width per level, so the left edge is always the outermost bar's and
+ * the right edge the innermost's.
+ * @param {object} entry - The participant's participantX entry.
+ * @param {number} side - -1 for the left edge, 1 for the right edge.
+ * @param {number} [depth] - Number of open activations.
+ * @returns {number}
+ */
+function getActivationEdge(entry, side, depth = entry.activations.length) {
+  if (depth === 0) return entry.x;
+  if (side < 0) return entry.x - ACTIVATION_WIDTH / 2;
+  return entry.x + (depth * ACTIVATION_WIDTH) / 2;
+}
+
+/**
+ * Closes a participant's innermost activation at y and draws its bar. Does
+ * nothing when no activation is open.
+ * @param {SVGElement} activationGroup
+ * @param {object} entry - The participant's participantX entry.
+ * @param {number} y
+ */
+function endActivation(activationGroup, entry, y) {
+  if (entry.activations.length === 0) return;
+  const top = entry.activations.pop();
+  const depth = entry.activations.length;
+  // Inner bars close first; inserting each bar below the earlier ones keeps
+  // them drawn over the bars they are nested in
+  activationGroup.insertBefore(
+    createSVGElement("rect", {
+      x: entry.x + ((depth - 1) * ACTIVATION_WIDTH) / 2,
+      y: top,
+      width: ACTIVATION_WIDTH,
+      height: Math.max(y - top, 0),
+      className: "activation",
+      ...getShapeStyle(entry.participant.style),
+    }),
+    activationGroup.firstChild
+  );
+}
+
+/**
+ * Ends a lifeline at y with an X, for participants destroyed by a message.
+ * Open activations end there too.
+ * @param {SVGElement} svgContainer
+ * @param {SVGElement} activationGroup
+ * @param {object} entry - The participant's participantX entry.
+ * @param {number} y
+ */
+function destroyLifeline(svgContainer, activationGroup, entry, y) {
+  while (entry.activations.length > 0) {
+    endActivation(activationGroup, entry, y);
+  }
+  entry.destroyed = y;
+  entry.__lifelineEl.setAttribute("y2", y);
+  const size = DESTROY_MARK_SIZE;
+  svgContainer.appendChild(
+    createPath(
+      `M ${entry.x - size},${y - size} L ${entry.x + size},${y + size} ` +
+        `M ${entry.x - size},${y + size} L ${entry.x + size},${y - size}`,
+      { className: "destroy-mark" }
+    )
+  );
+}
+
+/**
+ * Draws a message from a participant to itself as a rectangular loop to the
+ * right of its lifeline, with the label beside the loop. The loop grows to
+ * the height of the label.
+ * @param {SVGElement} svgContainer
+ * @param {object} msg - The message.
+ * @param {number} startX - Where the loop leaves the lifeline or activation.
+ * @param {number} endX - Where it returns.
+ * @param {number} top - Where the loop leaves the lifeline.
+ * @param {object} lineAttributes - Class and marker for the message kind.
+ * @param {{text: string, maxLabelWidth: number}} options - Label, with any
+ *   step number, and room for it before the next lifeline.
+ * @returns {{bottom: number, right: number}} Lowest and rightmost extent.
+ */
+function drawSelfMessage(
+  svgContainer,
+  msg,
+  startX,
+  endX,
+  top,
+  lineAttributes,
+  { text, maxLabelWidth }
+) {
+  const fontSize = FONT_SIZE * 0.85;
+  const lineHeight = fontSize * 1.2;
+  const lines = wrapRichText(text, maxLabelWidth, fontSize, FONT_FAMILY);
+  const height = Math.max(SELF_MESSAGE_HEIGHT, lines.length * lineHeight);
+  const bottom = top + height;
+  const loopX = Math.max(startX, endX) + SELF_MESSAGE_WIDTH;
+
+  const messageGroup = createLinkGroup(svgContainer, msg);
+  messageGroup.appendChild(
+    createPath(
+      `M ${startX},${top} H ${loopX} V ${bottom} H ${endX}`,
+      lineAttributes
+    )
+  );
+
+  const labelX = loopX + SELF_MESSAGE_LABEL_GAP;
+  messageGroup.appendChild(
+    createRichText(
+      labelX,
+      (top + bottom) / 2 - ((lines.length - 1) * lineHeight) / 2,
+      {
+        className: "message-label",
+        "dominant-baseline": "middle",
+        "font-size": fontSize,
+        "font-family": FONT_FAMILY,
+      },
+      lines
+    )
+  );
+
+  const labelWidth = Math.max(
+    ...lines.map((line) => measureRichLine(line, fontSize, FONT_FAMILY))
+  );
+  return { bottom, right: labelX + labelWidth };
+}
+
+/**
+ * Combined fragments are entries of "messages" with a "fragment" operator
+ * (alt, loop, ...) instead of a sender and receiver.
+ * @param {object} item - Entry of a "messages" list.
+ * @returns {boolean}
+ */
+function isFragment(item) {
+  return typeof item.fragment === "string";
+}
+
+/**
+ * Messages are the entries of "messages" that are not fragments, notes,
+ * dividers or delays.
+ * @param {object} item - Entry of a "messages" list.
+ * @returns {boolean}
+ */
+function isMessage(item) {
+  return (
+    !isFragment(item) &&
+    !isNote(item) &&
+    item.divider === undefined &&
+    item.delay === undefined
+  );
+}
+
+/**
+ * Notes are entries of "messages" with "note" text, placed "left" or "right"
+ * of one participant or "over" one or more of them.
+ * @param {object} item - Entry of a "messages" list.
+ * @returns {boolean}
+ */
+function isNote(item) {
+  return typeof item.note === "string";
+}
+
+/**
+ * Ids of the participants a note is attached to.
+ * @param {object} note
+ * @returns {string[]}
+ */
+function getNoteParticipants(note) {
+  return [].concat(note.participants);
+}
+
+/**
+ * Wraps a note's text and measures the box around it.
+ * @param {object} note
+ * @returns {{lines: object[][], width: number, height: number}}
+ */
+function getNoteSize(note) {
+  const lines = wrapRichText(
+    note.note,
+    NOTE_MAX_WIDTH - NOTE_PADDING * 2,
+    NOTE_FONT_SIZE,
+    FONT_FAMILY
+  );
+  const textWidth = Math.max(
+    ...lines.map((line) => measureRichLine(line, NOTE_FONT_SIZE, FONT_FAMILY))
+  );
+  return {
+    lines,
+    width: Math.max(
+      NOTE_MIN_WIDTH,
+      textWidth + NOTE_PADDING * 2 + NOTE_FOLD_SIZE
+    ),
+    height: lines.length * NOTE_FONT_SIZE * 1.2 + NOTE_PADDING * 2,
+  };
+}
+
+/**
+ * Operands of a fragment. Fragments with a single operand may give "guard"
+ * and "messages" directly instead of a "branches" list.
+ * @param {object} fragment
+ * @returns {{guard?: string, messages: object[]}[]}
+ */
+function getBranches(fragment) {
+  if (Array.isArray(fragment.branches)) return fragment.branches;
+  return [{ guard: fragment.guard, messages: fragment.messages || [] }];
+}
+
+/**
+ * All messages and notes in drawing order, with fragments opened up.
+ * @param {object[]} items - A "messages" list.
+ * @returns {object[]}
+ */
+function flattenMessages(items) {
+  return items.flatMap((item) =>
+    isFragment(item)
+      ? getBranches(item).flatMap((branch) => flattenMessages(branch.messages))
+      : [item]
+  );
+}
+
+/**
+ * Horizontal extent of a fragment frame: the headers of the participants its
+ * messages and notes involve, and a little more than any fragment nested in it.
+ * @param {object} fragment
+ * @param {Map} participantX - Participant positions by id.
+ * @param {Map} noteSizes - Sizes of notes from getNoteSize.
+ * @returns {{left: number, right: number}|null} Null if it has no messages.
+ */
+function getFragmentSpan(fragment, participantX, noteSizes) {
+  let span = null;
+  const include = (left, right) => {
+    span = span
+      ? { left: Math.min(span.left, left), right: Math.max(span.right, right) }
+      : { left, right };
+  };
+  getBranches(fragment).forEach((branch) => {
+    branch.messages.forEach((item) => {
+      if (isFragment(item)) {
+        const inner = getFragmentSpan(item, participantX, noteSizes);
+        if (inner) {
+          include(inner.left - FRAGMENT_INSET, inner.right + FRAGMENT_INSET);
+        }
+        return;
+      }
+      if (isNote(item) && (item.position || "over") !== "over") {
+        // Side notes reach out from their lifeline
+        const x = participantX.get(getNoteParticipants(item)[0]).x;
+        const side = item.position === "left" ? -1 : 1;
+        const reach =
+          ACTIVATION_WIDTH / 2 + NOTE_OFFSET + noteSizes.get(item).width;
+        include(
+          Math.min(x - PARTICIPANT_WIDTH / 2, x + side * reach) -
+            FRAGMENT_INSET,
+          Math.max(x + PARTICIPANT_WIDTH / 2, x + side * reach) + FRAGMENT_INSET
+        );
+        return;
+      }
+      const ids = isNote(item)
+        ? getNoteParticipants(item)
+        : [item.from, item.to];
+      ids.forEach((id) => {
+        const entry = participantX.get(id);
+        if (entry) {
+          include(
+            entry.x - PARTICIPANT_WIDTH / 2 - FRAGMENT_INSET,
+            entry.x + PARTICIPANT_WIDTH / 2 + FRAGMENT_INSET
+          );
+        }
+      });
+    });
+  });
+  return span;
+}
+
+/**
+ * Normalizes a participant entry. Participants are plain name strings, or
+ * objects {id, label, kind, style, class, link, tooltip} when they need more
+ * than a name. Messages refer to participants by id; the label is shown.
+ * @param {string|object} participant
+ * @param {object} [classes] - The diagram's "classes" map.
+ * @returns {{id: string, label: string, kind: string, style: object,
+ *   link?: string, tooltip?: string}}
+ */
+function getParticipant(participant, classes) {
+  if (typeof participant === "string") {
+    return {
+      id: participant,
+      label: participant,
+      kind: "participant",
+      style: {},
+    };
+  }
+  return {
+    id: participant.id,
+    label: participant.label || participant.id,
+    kind: participant.kind || "participant",
+    style: resolveStyle(participant, classes),
+    link: participant.link,
+    tooltip: participant.tooltip,
+  };
+}
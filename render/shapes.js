@@ -0,0 +1,320 @@
+// render/shapes.js
+import { createSVGElement, createPath } from "./svg.js";
+
+const CURVE_SEGMENTS = 16; // Polygon resolution used to approximate curved outlines
+
+/**
+ * Creates the SVG element for a node shape filling the given box.
+ * Unknown shapes fall back to a rounded rectangle.
+ * @param {string} shape - Shape name (e.g. "diamond", "cylinder").
+ * @param {number} x - Left edge of the bounding box.
+ * @param {number} y - Top edge of the bounding box.
+ * @param {number} width
+ * @param {number} height
+ * @param {object} attributes - Additional attributes (e.g. className).
+ * @returns {SVGElement}
+ */
+export function createShape(shape, x, y, width, height, attributes = {}) {
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+
+  switch (shape) {
+    case "stadium":
+    case "terminator":
+      return createSVGElement("rect", {
+        x,
+        y,
+        width,
+        height,
+        rx: height / 2,
+        ry: height / 2,
+        ...attributes,
+      });
+    case "circle":
+      return createSVGElement("ellipse", {
+        cx,
+        cy,
+        rx: width / 2,
+        ry: height / 2,
+        ...attributes,
+      });
+    case "cylinder": {
+      const ry = getCylinderCapHeight(height);
+      const rx = width / 2;
+      // Body, then the front rim of the top cap as a separate subpath drawn
+      // with the same winding so the cap stays filled
+      const d =
+        `M ${x},${y + ry} A ${rx},${ry} 0 0 1 ${x + width},${y + ry} ` +
+        `L ${x + width},${y + height - ry} ` +
+        `A ${rx},${ry} 0 0 1 ${x},${y + height - ry} Z ` +
+        `M ${x + width},${y + ry} A ${rx},${ry} 0 0 1 ${x},${y + ry}`;
+      return createPath(d, attributes);
+    }
+    case "subroutine": {
+      const inset = getSubroutineInset(width);
+      const d =
+        `M ${x},${y} H ${x + width} V ${y + height} H ${x} Z ` +
+        `M ${x + inset},${y} V ${y + height} ` +
+        `M ${x + width - inset},${y} V ${y + height}`;
+      return createPath(d, attributes);
+    }
+    case "document": {
+      const amp = getDocumentWaveHeight(height);
+      const d =
+        `M ${x},${y} H ${x + width} V ${y + height - amp} ` +
+        `C ${x + width * 0.7},${y + height - amp * 3} ` +
+        `${x + width * 0.3},${y + height + amp} ` +
+        `${x},${y + height - amp} Z`;
+      return createPath(d, attributes);
+    }
+    case "diamond":
+    case "parallelogram":
+    case "hexagon":
+      return createPath(
+        pointsToPath(getShapeOutline(shape, x, y, width, height)),
+        attributes
+      );
+    default:
+      return createSVGElement("rect", {
+        x,
+        y,
+        width,
+        height,
+        rx: 5, // Rounded corners
+        ry: 5,
+        ...attributes,
+      });
+  }
+}
+
+/**
+ * Returns the outline of a shape as a closed polygon. Curved parts are
+ * approximated with straight segments, which is precise enough to attach
+ * edges to.
+ * @param {string} shape
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getShapeOutline(shape, x, y, width, height) {
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+
+  switch (shape) {
+    case "diamond":
+      return [
+        { x: cx, y },
+        { x: x + width, y: cy },
+        { x: cx, y: y + height },
+        { x, y: cy },
+      ];
+    case "parallelogram": {
+      const skew = getParallelogramSkew(width, height);
+      return [
+        { x: x + skew, y },
+        { x: x + width, y },
+        { x: x + width - skew, y: y + height },
+        { x, y: y + height },
+      ];
+    }
+    case "hexagon": {
+      const inset = getHexagonInset(width, height);
+      return [
+        { x: x + inset, y },
+        { x: x + width - inset, y },
+        { x: x + width, y: cy },
+        { x: x + width - inset, y: y + height },
+        { x: x + inset, y: y + height },
+        { x, y: cy },
+      ];
+    }
+    case "circle":
+      return sampleEllipseArc(cx, cy, width / 2, height / 2, 0, Math.PI * 2);
+    case "stadium":
+    case "terminator": {
+      const r = Math.min(height, width) / 2;
+      return [
+        ...sampleEllipseArc(x + width - r, cy, r, r, -Math.PI / 2, Math.PI / 2),
+        ...sampleEllipseArc(x + r, cy, r, r, Math.PI / 2, (Math.PI * 3) / 2),
+      ];
+    }
+    case "cylinder": {
+      const ry = getCylinderCapHeight(height);
+      const rx = width / 2;
+      return [
+        ...sampleEllipseArc(cx, y + ry, rx, ry, Math.PI, Math.PI * 2),
+        ...sampleEllipseArc(cx, y + height - ry, rx, ry, 0, Math.PI),
+      ];
+    }
+    case "document": {
+      const amp = getDocumentWaveHeight(height);
+      const wave = [];
+      for (let i = 0; i <= CURVE_SEGMENTS; i++) {
+        const t = i / CURVE_SEGMENTS;
+        wave.push(
+          cubicBezierPoint(
+            { x: x + width, y: y + height - amp },
+            { x: x + width * 0.7, y: y + height - amp * 3 },
+            { x: x + width * 0.3, y: y + height + amp },
+            { x, y: y + height - amp },
+            t
+          )
+        );
+      }
+      return [{ x, y }, { x: x + width, y }, ...wave];
+    }
+    default:
+      return [
+        { x, y },
+        { x: x + width, y },
+        { x: x + width, y: y + height },
+        { x, y: y + height },
+      ];
+  }
+}
+
+/**
+ * Returns the area inside a shape that text can safely occupy, relative to
+ * the shape's bounding box.
+ * @param {string} shape
+ * @param {number} width
+ * @param {number} height
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getShapeTextBox(shape, width, height) {
+  switch (shape) {
+    case "diamond":
+      // A rectangle of 0.6w x 0.4h fits inside the rhombus and favors
+      // width, which suits horizontal text
+      return {
+        x: width * 0.2,
+        y: height * 0.3,
+        width: width * 0.6,
+        height: height * 0.4,
+      };
+    case "circle": {
+      const factor = Math.SQRT1_2; // Inscribed square of a circle
+      return {
+        x: (width * (1 - factor)) / 2,
+        y: (height * (1 - factor)) / 2,
+        width: width * factor,
+        height: height * factor,
+      };
+    }
+    // Slanted sides only cut off half their inset at mid-height
+    case "parallelogram":
+      return insetBox(
+        width,
+        height,
+        getParallelogramSkew(width, height) / 2,
+        0
+      );
+    case "hexagon":
+      return insetBox(width, height, getHexagonInset(width, height) / 2, 0);
+    case "stadium":
+    case "terminator":
+      return insetBox(width, height, Math.min(height, width) / 6, 0);
+    case "subroutine":
+      return insetBox(width, height, getSubroutineInset(width), 0);
+    case "cylinder": {
+      const ry = getCylinderCapHeight(height);
+      return { x: 0, y: ry * 2, width, height: height - ry * 3 };
+    }
+    case "document":
+      return {
+        x: 0,
+        y: 0,
+        width,
+        height: height - getDocumentWaveHeight(height) * 2,
+      };
+    default:
+      return { x: 0, y: 0, width, height };
+  }
+}
+
+/**
+ * Casts a ray from a point inside an outline and returns where it leaves the
+ * outline. Used to attach edges to the visible border of a shape instead of
+ * its bounding box.
+ * @param {Array<{x: number, y: number}>} outline - Closed polygon.
+ * @param {{x: number, y: number}} origin - A point inside the outline.
+ * @param {{x: number, y: number}} dir - Ray direction (need not be normalized).
+ * @returns {{x: number, y: number}} The exit point, or the origin if the ray
+ *   does not cross the outline.
+ */
+export function getOutlinePoint(outline, origin, dir) {
+  let best = Infinity;
+  for (let i = 0; i < outline.length; i++) {
+    const a = outline[i];
+    const b = outline[(i + 1) % outline.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = dir.x * ey - dir.y * ex;
+    if (Math.abs(denom) < 1e-9) continue; // Parallel
+    const t = ((a.x - origin.x) * ey - (a.y - origin.y) * ex) / denom;
+    const u = ((a.x - origin.x) * dir.y - (a.y - origin.y) * dir.x) / denom;
+    if (t > 1e-9 && u >= -1e-9 && u <= 1 + 1e-9 && t < best) {
+      best = t;
+    }
+  }
+  if (best === Infinity) return { x: origin.x, y: origin.y };
+  return { x: origin.x + dir.x * best, y: origin.y + dir.y * best };
+}
+
+// --- Shape proportions ---
+
+function getCylinderCapHeight(height) {
+  return Math.min(height * 0.15, 14);
+}
+
+function getParallelogramSkew(width, height) {
+  return Math.min(height * 0.4, width / 4);
+}
+
+function getHexagonInset(width, height) {
+  return Math.min(height / 2, width / 4);
+}
+
+function getSubroutineInset(width) {
+  return Math.min(10, width / 10);
+}
+
+function getDocumentWaveHeight(height) {
+  return height * 0.08;
+}
+
+// --- Geometry helpers ---
+
+function insetBox(width, height, dx, dy) {
+  return { x: dx, y: dy, width: width - dx * 2, height: height - dy * 2 };
+}
+
+function pointsToPath(points) {
+  return (
+    points.map((p, i) => `${i === 0 ? "M" : "L"} ${p.x},${p.y}`).join(" ") +
+    " Z"
+  );
+}
+
+function sampleEllipseArc(cx, cy, rx, ry, startAngle, endAngle) {
+  const points = [];
+  for (let i = 0; i <= CURVE_SEGMENTS; i++) {
+    const a = startAngle + ((endAngle - startAngle) * i) / CURVE_SEGMENTS;
+    points.push({ x: cx + rx * Math.cos(a), y: cy + ry * Math.sin(a) });
+  }
+  return points;
+}
+
+function cubicBezierPoint(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  const a = mt * mt * mt;
+  const b = 3 * mt * mt * t;
+  const c = 3 * mt * t * t;
+  const d = t * t * t;
+  return {
+    x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+    y: a * p0.y + b * p1.y + c * p2.y + d * p3.y,
+  };
+}
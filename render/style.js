@@ -0,0 +1,64 @@
+// render/style.js
+// Per-element style overrides. Elements carry an optional "style" object and
+// an optional "class" naming entries of the diagram's top-level "classes"
+// map. The result is written as an inline style attribute, which wins over
+// the stylesheet and survives SVG export.
+
+/**
+ * Merges the classes an element references (in order) with its own style
+ * object, which wins.
+ * @param {object} element - Diagram element with optional "class"/"style".
+ * @param {object} [classes] - The diagram's "classes" map.
+ * @returns {object} Style {fill, stroke, strokeWidth, textColor, fontWeight}.
+ */
+export function resolveStyle(element, classes = {}) {
+  const style = {};
+  getClassNames(element).forEach((name) => {
+    Object.assign(style, classes[name]);
+  });
+  return Object.assign(style, element.style);
+}
+
+/**
+ * Splits an element's "class" field into class names.
+ * @param {object} element
+ * @returns {string[]}
+ */
+export function getClassNames(element) {
+  return typeof element.class === "string"
+    ? element.class.split(/\s+/).filter(Boolean)
+    : [];
+}
+
+/**
+ * Inline CSS for the outline of a shape or line.
+ * @param {object} style - Resolved style.
+ * @returns {object} Attributes to spread into createSVGElement, if any.
+ */
+export function getShapeStyle(style) {
+  return toStyleAttribute({
+    fill: style.fill,
+    stroke: style.stroke,
+    "stroke-width": style.strokeWidth,
+  });
+}
+
+/**
+ * Inline CSS for the text of an element.
+ * @param {object} style - Resolved style.
+ * @returns {object} Attributes to spread into createText, if any.
+ */
+export function getTextStyle(style) {
+  return toStyleAttribute({
+    fill: style.textColor,
+    "font-weight": style.fontWeight,
+  });
+}
+
+function toStyleAttribute(properties) {
+  const css = Object.entries(properties)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("; ");
+  return css ? { style: css } : {};
+}
@@ -1,5 +1,28 @@
 // render/svg.js
 const SVG_NS = "http://www.w3.org/2000/svg";
+const CODE_FONT_FAMILY = "monospace"; // For `code` spans in rich text
+// Colored marker copies of each <defs>: marker ID and color -> copy ID
+const coloredMarkers = new WeakMap();
+
+// Inline markup: \* escapes, `code`, **bold**, *italic* and :icon: names
+const INLINE_MARKUP =
+  /\\([\\*`:])|`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|:([a-z]+):/g;
+
+// Icons usable as :name: in rich text, drawn as Unicode symbols
+const ICONS = {
+  check: "\u2714",
+  cross: "\u2718",
+  warning: "\u26a0",
+  info: "\u2139",
+  star: "\u2605",
+  lock: "\ud83d\udd12",
+  user: "\ud83d\udc64",
+  database: "\ud83d\udee2",
+  clock: "\u23f1",
+  mail: "\u2709",
+  gear: "\u2699",
+  arrow: "\u2192",
+};
 
 export function createSVGElement(tag, attributes = {}) {
   const el = document.createElementNS(SVG_NS, tag);
@@ -21,6 +44,33 @@ export function createSVGElement(tag, attributes = {}) {
   return el;
 }
 
+/**
+ * Returns the parent to draw an element's parts into. Items with a "link" get
+ * an <a> wrapper, items with only a "tooltip" a <g>; the tooltip becomes a
+ * <title>, which viewers show on hover. Other items draw into the parent.
+ * @param {SVGElement} parent - Element to append the wrapper to.
+ * @param {object} item - Diagram element with optional "link"/"tooltip".
+ * @returns {SVGElement} The wrapper, or the parent itself.
+ */
+export function createLinkGroup(parent, item) {
+  if (!item.link && !item.tooltip) return parent;
+  const group = item.link
+    ? createSVGElement("a", {
+        href: item.link,
+        xlinkHref: item.link, // For viewers without SVG 2 href
+        target: "_blank",
+        rel: "noopener noreferrer",
+      })
+    : createSVGElement("g");
+  if (item.tooltip) {
+    const title = createSVGElement("title");
+    title.textContent = item.tooltip;
+    group.appendChild(title);
+  }
+  parent.appendChild(group);
+  return group;
+}
+
 /**
  * Creates an SVG path element.
  * @param {string} d - The path data string.
@@ -65,9 +115,11 @@ export function createText(textContent, x, y, attributes = {}, lines = null) {
  * @param {string} text - The text to measure.
  * @param {number} fontSize - Font size in pixels.
  * @param {string} fontFamily - Font family string.
+ * @param {string|number} [fontWeight] - Font weight, if not the default.
+ * @param {string} [fontStyle] - Font style, e.g. "italic".
  * @returns {number} The approximate text width.
  */
-export function measureText(text, fontSize, fontFamily) {
+export function measureText(text, fontSize, fontFamily, fontWeight, fontStyle) {
   if (!text) return 0;
   const svg = createSVGElement("svg");
   svg.style.position = "absolute";
@@ -78,7 +130,10 @@ export function measureText(text, fontSize, fontFamily) {
   const textEl = createSVGElement("text", {
     x: 0,
     y: 0,
-    style: `font-size: ${fontSize}px; font-family: ${fontFamily};`,
+    style:
+      `font-size: ${fontSize}px; font-family: ${fontFamily};` +
+      (fontWeight ? ` font-weight: ${fontWeight};` : "") +
+      (fontStyle ? ` font-style: ${fontStyle};` : ""),
   });
   textEl.textContent = text;
   svg.appendChild(textEl);
@@ -106,10 +161,11 @@ export function measureText(text, fontSize, fontFamily) {
  * @param {number} maxWidth - The maximum allowed width for a line.
  * @param {number} fontSize - The font size.
  * @param {string} fontFamily - The font family.
+ * @param {string|number} [fontWeight] - Font weight, if not the default.
  * @returns {string[]} An array of strings, each representing a line.
  */
-export function wrapText(text, maxWidth, fontSize, fontFamily) {
-  if (measureText(text, fontSize, fontFamily) <= maxWidth) {
+export function wrapText(text, maxWidth, fontSize, fontFamily, fontWeight) {
+  if (measureText(text, fontSize, fontFamily, fontWeight) <= maxWidth) {
     return [text];
   }
 
@@ -120,7 +176,7 @@ export function wrapText(text, maxWidth, fontSize, fontFamily) {
   for (let i = 1; i < words.length; i++) {
     const word = words[i];
     const testLine = currentLine + " " + word;
-    if (measureText(testLine, fontSize, fontFamily) <= maxWidth) {
+    if (measureText(testLine, fontSize, fontFamily, fontWeight) <= maxWidth) {
       currentLine = testLine;
     } else {
       lines.push(currentLine);
@@ -131,6 +187,173 @@ export function wrapText(text, maxWidth, fontSize, fontFamily) {
   return lines;
 }
 
+/**
+ * Parses inline markup into lines of styled runs. Newlines break lines;
+ * **bold**, *italic* and `code` style a span, :name: inserts an icon and a
+ * backslash keeps the next markup character literal.
+ * @param {string} text
+ * @returns {Array<Array<{text: string, bold?: boolean, italic?: boolean,
+ *   code?: boolean}>>} Lines of runs.
+ */
+export function parseRichText(text) {
+  return String(text ?? "")
+    .split("\n")
+    .map((line) => {
+      const runs = [];
+      parseInline(line, {}, runs);
+      return runs;
+    });
+}
+
+/**
+ * Measures one line of runs from parseRichText or wrapRichText.
+ * @param {Array<object>} runs
+ * @param {number} fontSize
+ * @param {string} fontFamily
+ * @param {string|number} [fontWeight] - Weight of the unstyled runs.
+ * @returns {number}
+ */
+export function measureRichLine(runs, fontSize, fontFamily, fontWeight) {
+  return runs.reduce(
+    (width, run) =>
+      width +
+      measureText(
+        run.text,
+        fontSize,
+        run.code ? CODE_FONT_FAMILY : fontFamily,
+        run.bold ? "bold" : fontWeight,
+        run.italic ? "italic" : undefined
+      ),
+    0
+  );
+}
+
+/**
+ * Rich text counterpart of wrapText: keeps explicit line breaks and wraps
+ * longer lines at spaces, measuring every run in its own font.
+ * @param {string} text - Text with inline markup.
+ * @param {number} maxWidth - Maximum line width, Infinity to only break at
+ *   newlines.
+ * @param {number} fontSize
+ * @param {string} fontFamily
+ * @param {string|number} [fontWeight] - Weight of the unstyled runs.
+ * @returns {Array<Array<object>>} Lines of runs for createRichText.
+ */
+export function wrapRichText(text, maxWidth, fontSize, fontFamily, fontWeight) {
+  const measure = (runs) =>
+    measureRichLine(runs, fontSize, fontFamily, fontWeight);
+  return parseRichText(text).flatMap((runs) => {
+    if (measure(runs) <= maxWidth) return [runs];
+
+    // Words may span runs, e.g. "**bold**suffix", so split runs at spaces
+    const words = [[]];
+    const spaces = []; // spaces[i] separates words[i] and words[i + 1]
+    runs.forEach((run) => {
+      run.text.split(/( +)/).forEach((part, i) => {
+        if (!part) return;
+        if (i % 2 === 1) {
+          spaces.push({ ...run, text: part });
+          words.push([]);
+        } else {
+          words[words.length - 1].push({ ...run, text: part });
+        }
+      });
+    });
+
+    const lines = [];
+    let line = words[0];
+    for (let i = 1; i < words.length; i++) {
+      const testLine = [...line, spaces[i - 1], ...words[i]];
+      if (line.length === 0 || measure(testLine) <= maxWidth) {
+        line = testLine;
+      } else {
+        lines.push(line);
+        line = words[i];
+      }
+    }
+    lines.push(line);
+    return lines.map((runs) => mergeRuns(runs));
+  });
+}
+
+/**
+ * Creates a text element from lines of runs (see wrapRichText). Lines become
+ * tspans like in createText, and styled runs nested tspans with their font
+ * attributes.
+ * @param {number} x
+ * @param {number} y - Position of the first line.
+ * @param {object} attributes - Attributes for the text element.
+ * @param {Array<Array<object>>} lines
+ * @returns {SVGTextElement}
+ */
+export function createRichText(x, y, attributes, lines) {
+  const textEl = createSVGElement("text", { x, y, ...attributes });
+  lines.forEach((runs, i) => {
+    let parent = textEl;
+    if (lines.length > 1) {
+      parent = createSVGElement("tspan", {
+        x,
+        dy: i === 0 ? 0 : 1.2 + "em", // Line height as in createText
+      });
+      textEl.appendChild(parent);
+    }
+    if (runs.length === 1 && !hasRunStyle(runs[0])) {
+      parent.textContent = runs[0].text; // Plain text as in createText
+      return;
+    }
+    runs.forEach((run) => {
+      const tspan = createSVGElement("tspan", {
+        ...(run.bold && { "font-weight": "bold" }),
+        ...(run.italic && { "font-style": "italic" }),
+        ...(run.code && { "font-family": CODE_FONT_FAMILY }),
+      });
+      tspan.textContent = run.text;
+      parent.appendChild(tspan);
+    });
+  });
+  return textEl;
+}
+
+function parseInline(text, style, runs) {
+  let last = 0;
+  for (const match of text.matchAll(INLINE_MARKUP)) {
+    const [whole, escaped, code, bold, italic, icon] = match;
+    if (icon && !ICONS[icon]) continue; // Not an icon, e.g. a time "10:30:"
+    pushRun(runs, text.slice(last, match.index), style);
+    if (escaped) pushRun(runs, escaped, style);
+    else if (code) pushRun(runs, code, { ...style, code: true });
+    else if (bold) parseInline(bold, { ...style, bold: true }, runs);
+    else if (italic) parseInline(italic, { ...style, italic: true }, runs);
+    else pushRun(runs, ICONS[icon], style);
+    last = match.index + whole.length;
+  }
+  pushRun(runs, text.slice(last), style);
+}
+
+function pushRun(runs, text, style) {
+  if (!text) return;
+  const prev = runs[runs.length - 1];
+  if (prev && isSameRunStyle(prev, style)) {
+    prev.text += text;
+  } else {
+    runs.push({ ...style, text });
+  }
+}
+
+function mergeRuns(runs) {
+  const merged = [];
+  runs.forEach((run) => pushRun(merged, run.text, run));
+  return merged;
+}
+
+function hasRunStyle(run) {
+  return Boolean(run.bold || run.italic || run.code);
+}
+
+function isSameRunStyle(a, b) {
+  return !a.bold === !b.bold && !a.italic === !b.italic && !a.code === !b.code;
+}
+
 /**
  * Creates an SVG <defs> element and appends common arrow markers to it.
  * @param {SVGElement} svgRoot - The root SVG element to append defs to.
@@ -147,133 +370,149 @@ export function createCommonDefs(svgRoot) {
     markerUnits: "strokeWidth",
     markerWidth: "8",
     markerHeight: "6",
-    orient: "auto",
+    orient: "auto-start-reverse", // Also points outwards as a marker-start
   });
   arrowMarker.appendChild(
     createSVGElement("path", { d: "M 0 0 L 10 5 L 0 10 z" })
   );
   defs.appendChild(arrowMarker);
 
-  // Reply message arrow marker (smaller, perhaps slightly different)
-  const replyArrowMarker = createSVGElement("marker", {
-    id: "replyArrowhead",
+  // Open (unfilled) arrow for flowchart edges
+  const openArrowMarker = createSVGElement("marker", {
+    id: "openArrowhead",
     viewBox: "0 0 10 10",
     refX: "9",
     refY: "5",
     markerUnits: "strokeWidth",
-    markerWidth: "6",
-    markerHeight: "4",
-    orient: "auto",
-  });
-  replyArrowMarker.appendChild(
-    createSVGElement("path", { d: "M 0 0 L 10 5 L 0 10 z" })
-  );
-  defs.appendChild(replyArrowMarker);
-
-  // Crow's foot markers for ERD
-  // One to many (fork)
-  const oneToMany = createSVGElement("marker", {
-    id: "oneToMany",
-    viewBox: "0 0 10 10",
-    refX: "1",
-    refY: "5",
-    markerWidth: "10",
-    markerHeight: "10",
-    orient: "auto",
+    markerWidth: "8",
+    markerHeight: "6",
+    orient: "auto-start-reverse",
   });
-  oneToMany.appendChild(
+  openArrowMarker.appendChild(
     createSVGElement("path", {
-      d: "M0,1 L10,5 L0,9",
+      d: "M 0 0 L 10 5 L 0 10",
       fill: "none",
-      stroke: "currentColor",
       "stroke-width": "1.5",
     })
   );
-  defs.appendChild(oneToMany);
+  defs.appendChild(openArrowMarker);
 
-  // One (single line)
-  const one = createSVGElement("marker", {
-    id: "one",
+  // Filled circle at the end of a flowchart edge
+  const circleMarker = createSVGElement("marker", {
+    id: "circleHead",
     viewBox: "0 0 10 10",
-    refX: "0",
+    refX: "9",
     refY: "5",
-    markerWidth: "2",
-    markerHeight: "10",
-    orient: "auto",
+    markerUnits: "strokeWidth",
+    markerWidth: "5",
+    markerHeight: "5",
+    orient: "auto-start-reverse",
   });
-  one.appendChild(
-    createSVGElement("line", {
-      x1: "1",
-      y1: "0",
-      x2: "1",
-      y2: "10",
-      stroke: "currentColor",
-      "stroke-width": "1.5",
-    })
+  circleMarker.appendChild(
+    createSVGElement("circle", { cx: "5", cy: "5", r: "4" })
   );
-  defs.appendChild(one);
+  defs.appendChild(circleMarker);
 
-  // Zero or one (circle + line)
-  const zeroOrOne = createSVGElement("marker", {
-    id: "zeroOrOne",
+  // Cross near the end of a flowchart edge
+  const crossMarker = createSVGElement("marker", {
+    id: "crossHead",
     viewBox: "0 0 10 10",
-    refX: "0",
+    refX: "7",
     refY: "5",
-    markerWidth: "10",
-    markerHeight: "10",
-    orient: "auto",
+    markerUnits: "strokeWidth",
+    markerWidth: "8",
+    markerHeight: "8",
+    orient: "auto-start-reverse",
   });
-  zeroOrOne.appendChild(
-    createSVGElement("circle", {
-      cx: "3",
-      cy: "5",
-      r: "3",
+  crossMarker.appendChild(
+    createSVGElement("path", {
+      d: "M 1,1 L 9,9 M 1,9 L 9,1",
       fill: "none",
-      stroke: "currentColor",
-      "stroke-width": "1.5",
+      "stroke-width": "2",
     })
   );
-  zeroOrOne.appendChild(
-    createSVGElement("line", {
-      x1: "6",
-      y1: "0",
-      x2: "6",
-      y2: "10",
-      stroke: "currentColor",
-      "stroke-width": "1.5",
-    })
-  );
-  defs.appendChild(zeroOrOne);
+  defs.appendChild(crossMarker);
 
-  // Zero or many (circle + crow's foot)
-  const zeroOrMany = createSVGElement("marker", {
-    id: "zeroOrMany",
+  // Reply message arrow marker (smaller, perhaps slightly different)
+  const replyArrowMarker = createSVGElement("marker", {
+    id: "replyArrowhead",
     viewBox: "0 0 10 10",
-    refX: "0",
+    refX: "9",
     refY: "5",
-    markerWidth: "10",
-    markerHeight: "10",
+    markerUnits: "strokeWidth",
+    markerWidth: "6",
+    markerHeight: "4",
     orient: "auto",
   });
-  zeroOrMany.appendChild(
-    createSVGElement("circle", {
-      cx: "3",
-      cy: "5",
-      r: "3",
-      fill: "none",
-      stroke: "currentColor",
-      "stroke-width": "1.5",
-    })
-  );
-  zeroOrMany.appendChild(
-    createSVGElement("path", {
-      d: "M6,1 L10,5 L6,9",
-      fill: "none",
-      stroke: "currentColor",
-      "stroke-width": "1.5",
-    })
+  replyArrowMarker.appendChild(
+    createSVGElement("path", { d: "M 0 0 L 10 5 L 0 10 z" })
   );
-  defs.appendChild(zeroOrMany);
+  defs.appendChild(replyArrowMarker);
+
+  // Crow's foot markers for the ends of ERD relationships, one per
+  // cardinality. They are drawn for the end of a line, the entity on the
+  // right, and turned around as a marker-start.
+  const crowsFoot = "M 20,1 L 12,6 L 20,11";
+  [
+    { id: "zeroOrOne", d: "M 16,1 L 16,11", circleX: 8 },
+    { id: "exactlyOne", d: "M 16,1 L 16,11 M 12,1 L 12,11" },
+    { id: "zeroOrMany", d: crowsFoot, circleX: 7 },
+    { id: "oneOrMany", d: `${crowsFoot} M 9,1 L 9,11` },
+  ].forEach(({ id, d, circleX }) => {
+    const marker = createSVGElement("marker", {
+      id,
+      viewBox: "0 0 20 12",
+      refX: "20",
+      refY: "6",
+      markerWidth: "14",
+      markerHeight: "8.4",
+      orient: "auto-start-reverse",
+    });
+    marker.appendChild(
+      createSVGElement("path", {
+        d,
+        fill: "none",
+        stroke: "currentColor",
+        "stroke-width": "1.5",
+      })
+    );
+    if (circleX !== undefined) {
+      marker.appendChild(
+        createSVGElement("circle", {
+          cx: circleX,
+          cy: "6",
+          r: "3",
+          className: "cardinality-circle",
+        })
+      );
+    }
+    defs.appendChild(marker);
+  });
 
   svgRoot.appendChild(defs);
 }
+
+/**
+ * Returns the ID of a copy of a common marker drawn in the given color, for
+ * lines whose stroke color is overridden. Copies are created once per color.
+ * @param {SVGElement} svgRoot - Root SVG element holding the common defs.
+ * @param {string} markerId - ID of a marker from createCommonDefs.
+ * @param {string} color - CSS color.
+ * @returns {string} The marker ID to reference.
+ */
+export function getColoredMarker(svgRoot, markerId, color) {
+  // Keyed by the <defs>, which each render creates anew
+  const defs = svgRoot.querySelector("defs");
+  if (!coloredMarkers.has(defs)) coloredMarkers.set(defs, new Map());
+  const copies = coloredMarkers.get(defs);
+  const key = `${markerId} ${color}`;
+  if (!copies.has(key)) {
+    const id = `${markerId}-colored-${copies.size}`;
+    const marker = svgRoot.querySelector(`#${markerId}`).cloneNode(true);
+    marker.setAttribute("id", id);
+    marker.setAttribute("style", `fill: ${color}; stroke: ${color}`);
+    defs.appendChild(marker);
+    copies.set(key, id);
+  }
+  return copies.get(key);
+}
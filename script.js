@@ -8,7 +8,8 @@ import {
 import { validate } from "./core/validate.js";
 import { compileAndRender } from "./core/compile.js";
 import { encodeData, decodeData } from "./core/url.js";
-import { exportSVG, exportPNG } from "./core/export.js";
+import { exportSVG, exportPNG, exportSQL } from "./core/export.js";
+import { importSQL } from "./core/sql.js";
 
 // DOM Elements
 const jsonEditor = document.getElementById("jsonEditor");
@@ -23,9 +24,12 @@ const formatJsonBtn = document.getElementById("formatJsonBtn");
 const sampleFlowchartBtn = document.getElementById("sampleFlowchartBtn");
 const sampleSequenceBtn = document.getElementById("sampleSequenceBtn");
 const sampleErdBtn = document.getElementById("sampleErdBtn");
+const pasteSqlBtn = document.getElementById("pasteSqlBtn");
 const renderBtn = document.getElementById("renderBtn");
 const exportSvgBtn = document.getElementById("exportSvgBtn");
 const exportPngBtn = document.getElementById("exportPngBtn");
+const sqlDialectSelect = document.getElementById("sqlDialectSelect");
+const exportSqlBtn = document.getElementById("exportSqlBtn");
 const copyShareUrlBtn = document.getElementById("copyShareUrlBtn");
 const themeToggleBtn = document.getElementById("themeToggleBtn");
 
@@ -231,6 +235,39 @@ sampleErdBtn.addEventListener("click", async () => {
   renderDiagram();
 });
 
+pasteSqlBtn.addEventListener("click", async () => {
+  // Reading the clipboard needs permission; ask for the text otherwise
+  let sql = "";
+  try {
+    sql = await navigator.clipboard.readText();
+  } catch (e) {
+    // Fall back to the prompt below
+  }
+  // Let the user fix or replace clipboard text that holds no table
+  if (!/\bCREATE\s+(?:\w+\s+)?TABLE\b/i.test(sql)) {
+    sql = prompt("Paste CREATE TABLE statements:", sql) || "";
+    if (!sql.trim()) return;
+  }
+
+  try {
+    const { data, skipped } = importSQL(sql);
+    jsonEditor.value = JSON.stringify(data, null, 2);
+    updateLineNumbers(jsonEditor, lineNumbersDiv);
+    renderDiagram();
+    if (skipped.length > 0) {
+      alert(
+        `Skipped tables without a primary key: ${skipped.join(", ")}. ` +
+          "Add one to import them."
+      );
+    }
+  } catch (e) {
+    displayErrors(
+      [{ message: `Could not import SQL: ${e.message}`, index: 0 }],
+      jsonEditor.value
+    );
+  }
+});
+
 renderBtn.addEventListener("click", renderDiagram);
 
 exportSvgBtn.addEventListener("click", () => {
@@ -241,6 +278,24 @@ exportPngBtn.addEventListener("click", () => {
   exportPNG(diagramSvg, diagramCanvas);
 });
 
+exportSqlBtn.addEventListener("click", () => {
+  const jsonString = jsonEditor.value;
+  if (validate.getParseErrors(jsonString).length > 0) {
+    alert("Fix the JSON errors before exporting SQL.");
+    return;
+  }
+  const jsonData = JSON.parse(jsonString);
+  if (jsonData.type !== "erd") {
+    alert("SQL export is only available for ERD diagrams.");
+    return;
+  }
+  if (validate.validate(jsonData, jsonString).length > 0) {
+    alert("Fix the diagram errors before exporting SQL.");
+    return;
+  }
+  exportSQL(jsonData, sqlDialectSelect.value);
+});
+
 copyShareUrlBtn.addEventListener("click", () => {
   try {
     const jsonString = jsonEditor.value;
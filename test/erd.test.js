@@ -0,0 +1,39 @@
+// test/erd.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../core/validate.js";
+
+const selfReferencing = (relationship) => ({
+  type: "erd",
+  entities: [
+    {
+      name: "Employee",
+      attributes: [
+        { name: "id", type: "int", pk: true },
+        { name: "manager_id", type: "int", fk: "Employee.id", nullable: true },
+      ],
+    },
+  ],
+  relationships: [{ from: "Employee", to: "Employee", ...relationship }],
+});
+
+const getMessages = (data) =>
+  validate.validate(data, JSON.stringify(data)).map((e) => e.message);
+
+test("a self-reference is read from the foreign key side", () => {
+  const data = selfReferencing({
+    fromCardinality: "0..*",
+    toCardinality: "0..1",
+  });
+  assert.deepEqual(getMessages(data), []);
+});
+
+test("a self-reference allowing many referenced rows is reported", () => {
+  const data = selfReferencing({
+    fromCardinality: "0..1",
+    toCardinality: "0..*",
+  });
+  assert.deepEqual(getMessages(data), [
+    'Relationship at index 0 allows many "Employee" per "Employee", but foreign key "Employee.manager_id" references one.',
+  ]);
+});
@@ -0,0 +1,40 @@
+// test/layered.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { layoutLayered } from "../render/layered.js";
+
+const OPTIONS = { layerGap: 50, nodeGap: 40, edgeGap: 20 };
+
+test("a chain of differently sized nodes is laid out collinear", () => {
+  const nodes = [
+    { id: "a", mainSize: 40, crossSize: 60 },
+    { id: "b", mainSize: 40, crossSize: 140 },
+    { id: "c", mainSize: 40, crossSize: 90 },
+  ];
+  const edges = [
+    { from: "a", to: "b" },
+    { from: "b", to: "c" },
+  ];
+  const { nodes: placed } = layoutLayered(nodes, edges, OPTIONS);
+  const cross = ["a", "b", "c"].map((id) => placed.get(id).cross);
+  assert.equal(cross[1], cross[0]);
+  assert.equal(cross[2], cross[0]);
+});
+
+test("a one-to-one link above a branch is drawn straight", () => {
+  const nodes = [
+    { id: "a", mainSize: 40, crossSize: 60 },
+    { id: "b", mainSize: 40, crossSize: 60 },
+    { id: "c", mainSize: 40, crossSize: 140 },
+    { id: "d", mainSize: 40, crossSize: 200 },
+    { id: "e", mainSize: 40, crossSize: 90 },
+  ];
+  const edges = [
+    { from: "a", to: "b" },
+    { from: "b", to: "c" },
+    { from: "b", to: "e" },
+    { from: "d", to: "e" },
+  ];
+  const { nodes: placed } = layoutLayered(nodes, edges, OPTIONS);
+  assert.equal(placed.get("b").cross, placed.get("a").cross);
+});
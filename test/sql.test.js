@@ -0,0 +1,74 @@
+// test/sql.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importSQL } from "../core/sql.js";
+import { validate } from "../core/validate.js";
+
+const getAttribute = (data, entity, name) =>
+  data.entities
+    .find((e) => e.name === entity)
+    .attributes.find((a) => a.name === name);
+
+test("a trailing backslash does not escape the closing quote", () => {
+  const { data } = importSQL(
+    "CREATE TABLE w (id int primary key, path text default 'C:\\', other text);"
+  );
+  assert.equal(getAttribute(data, "w", "path").default, "'C:\\'");
+  assert.ok(getAttribute(data, "w", "other"));
+});
+
+test("backslashes escape in PostgreSQL E'...' strings", () => {
+  const { data } = importSQL(
+    "CREATE TABLE w (id int primary key, note text default E'it\\'s', other text);"
+  );
+  assert.equal(getAttribute(data, "w", "note").default, "E'it\\'s'");
+  assert.ok(getAttribute(data, "w", "other"));
+});
+
+test("backslashes escape in MySQL strings", () => {
+  const { data } = importSQL(
+    "CREATE TABLE `w` (`id` int primary key, `note` text default 'it\\'s', `other` text) ENGINE=InnoDB;"
+  );
+  assert.equal(getAttribute(data, "w", "note").default, "'it\\'s'");
+  assert.ok(getAttribute(data, "w", "other"));
+});
+
+test("a self-referencing table imports into a valid document", () => {
+  const { data } = importSQL(`
+    CREATE TABLE public.users (
+      id integer NOT NULL,
+      name text NOT NULL,
+      manager_id integer
+    );
+    ALTER TABLE ONLY public.users
+      ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+    ALTER TABLE ONLY public.users
+      ADD CONSTRAINT users_manager_id_fkey
+      FOREIGN KEY (manager_id) REFERENCES public.users(id);
+  `);
+  assert.equal(getAttribute(data, "users", "manager_id").fk, "users.id");
+  assert.equal(data.relationships.length, 1);
+  assert.deepEqual(validate.validate(data, JSON.stringify(data)), []);
+});
+
+test("tables without a primary key are skipped and reported", () => {
+  const { data, skipped } = importSQL(`
+    CREATE TABLE artist (id integer PRIMARY KEY, name text);
+    CREATE TABLE track (name text, artist_id integer REFERENCES artist(id));
+    CREATE TABLE album (id integer PRIMARY KEY, cover integer REFERENCES track);
+  `);
+  assert.deepEqual(skipped, ["track"]);
+  assert.deepEqual(
+    data.entities.map((e) => e.name),
+    ["artist", "album"]
+  );
+  assert.equal(getAttribute(data, "album", "cover").fk, undefined);
+  assert.deepEqual(validate.validate(data, JSON.stringify(data)), []);
+});
+
+test("a script without any primary key is rejected", () => {
+  assert.throws(
+    () => importSQL("CREATE TABLE log (line text);"),
+    /No table has a primary key: log\./
+  );
+});